@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal API tokens. Only a SHA-256 hash of each token is stored;
+// the token itself is shown to the user once, when it is generated.
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: { type: String, required: true, maxlength: 64 },
+  tokenHash: { type: String, required: true, unique: true },
+  // First characters of the token, so users can tell their tokens apart
+  prefix: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+});
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Creates a token for a user and returns { token, apiToken }
+apiTokenSchema.statics.generate = async function (userId, name) {
+  const token = 'usk_' + crypto.randomBytes(32).toString('base64url');
+  const apiToken = await this.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, 10)
+  });
+  return { token, apiToken };
+};
+
+apiTokenSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Single-use, time-limited tokens emailed to users (password resets,
+// email verification, ...). Only a SHA-256 hash of each token is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+// MongoDB removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a new token, replacing any unused token for the same purpose
+authTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Finds a valid token without using it up
+authTokenSchema.statics.findValid = function (token, purpose) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Marks a valid token as used and returns it; null if it's invalid or already used
+authTokenSchema.statics.consume = function (token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One document per visit to a short link
+const clickSchema = new mongoose.Schema({
+  shortUrlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShortUrl',
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  referrer: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  browser: { type: String, default: null },
+  os: { type: String, default: null },
+  // desktop, mobile, tablet, bot, ...
+  device: { type: String, default: 'desktop' },
+  // Keyed hash of the visitor's IP, never the raw address
+  ipHash: { type: String, default: null }
+});
+
+clickSchema.index({ shortUrlId: 1, timestamp: -1 });
+
+// How far back the timeline goes for each bucket size
+const TIMELINE_RANGES = {
+  hour: 48 * 60 * 60 * 1000,       // 48 hours
+  day: 30 * 24 * 60 * 60 * 1000,   // 30 days
+  week: 26 * 7 * 24 * 60 * 60 * 1000 // 26 weeks
+};
+
+// Groups clicks by a field, most common first
+function topBy(field, limit = 10) {
+  return [
+    { $group: { _id: '$' + field, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ];
+}
+
+/**
+ * Summarises the clicks of one link: a timeline in hour, day
+ * or week buckets, top referrers, browsers and devices,
+ * and total vs. unique visitors.
+ */
+clickSchema.statics.linkStats = async function (shortUrlId, bucket = 'day') {
+  // hasOwn, so that names like "constructor" or "toString" don't count as buckets
+  if (typeof bucket !== 'string' || !Object.hasOwn(TIMELINE_RANGES, bucket)) bucket = 'day';
+  const since = new Date(Date.now() - TIMELINE_RANGES[bucket]);
+  const [result] = await this.aggregate([
+    { $match: { shortUrlId } },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        unique: [{ $group: { _id: '$ipHash' } }, { $count: 'count' }],
+        timeline: [
+          { $match: { timestamp: { $gte: since } } },
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$timestamp', unit: bucket } },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        referrers: topBy('referrer'),
+        browsers: topBy('browser'),
+        devices: topBy('device')
+      }
+    }
+  ]);
+  return {
+    bucket,
+    total: result.total.length ? result.total[0].count : 0,
+    unique: result.unique.length ? result.unique[0].count : 0,
+    timeline: result.timeline.map((b) => ({ start: b._id, count: b.count })),
+    referrers: result.referrers.map((r) => ({ name: r._id, count: r.count })),
+    browsers: result.browsers.map((b) => ({ name: b._id, count: b.count })),
+    devices: result.devices.map((d) => ({ name: d._id, count: d.count }))
+  };
+};
+
+module.exports = mongoose.model('Click', clickSchema);
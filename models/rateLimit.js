@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Rate limiter counters, used when RATE_LIMIT_STORE=mongo
+const rateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, required: true, default: 0 },
+  resetAt: { type: Date, required: true },
+  lastAt: { type: Date, default: null }
+});
+
+// MongoDB removes counters once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
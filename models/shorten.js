@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 const shortId = require('shortid');
+const Click = require('./click');
+
+// HTTP status codes a link can redirect with (see utils/redirect.js)
+const REDIRECT_TYPES = [301, 302, 307, 308];
+const DEFAULT_REDIRECT_TYPE = 302;
+// How added query parameters treat keys already on the URL (see utils/destination.js)
+const QUERY_MERGE_RULES = ['keep', 'override'];
+
+// UTM parameters added to the destination at redirect time
+const utmSchema = new mongoose.Schema({
+  source: String,
+  medium: String,
+  campaign: String,
+  term: String,
+  content: String
+}, { _id: false });
+
+// Sends matching visitors somewhere other than `full` (see utils/targeting.js).
+// Every condition that is set must match; an empty list matches anyone.
+const targetRuleSchema = new mongoose.Schema({
+  os: [String],
+  device: [String],
+  language: [String],
+  country: [String],
+  destination: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
 
 const shortUrlSchema = new mongoose.Schema({
   full: {
@@ -9,6 +38,7 @@ const shortUrlSchema = new mongoose.Schema({
   short: {
     type: String,
     required: true,
+    unique: true,
     default: shortId.generate
   },
   clicks: {
@@ -16,10 +46,122 @@ const shortUrlSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // The user who created the link
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Set for links that belong to a workspace instead of to userId
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  redirectType: {
+    type: Number,
+    enum: REDIRECT_TYPES,
+    default: DEFAULT_REDIRECT_TYPE
+  },
+  utm: {
+    type: utmSchema,
+    default: null
+  },
+  // Pass the query string the short link is opened with on to the destination
+  queryPassthrough: {
+    type: Boolean,
+    default: false
+  },
+  queryMerge: {
+    type: String,
+    enum: QUERY_MERGE_RULES,
+    default: 'keep'
+  },
+  // Checked in order at redirect time; the first match wins, else `full`
+  targetRules: {
+    type: [targetRuleSchema],
+    default: []
+  },
+  // Optional human-readable name shown on the dashboard
+  title: {
+    type: String,
+    default: null
+  },
+  // Lower-cased labels for organizing links
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Optional folder name; a link is in at most one folder
+  folder: {
+    type: String,
+    default: null
+  },
+  // Optional lifecycle limits; null means no limit
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // bcrypt hash of the optional link password
+  password: {
+    type: String,
+    default: null
+  },
+  // Set by the expiry sweep when expired links are archived
+  archivedAt: {
+    type: Date,
+    default: null
   }
 });
 
+// Lookup of a user's links by destination (used to avoid duplicates)
+shortUrlSchema.index({ userId: 1, full: 1 });
+// Lookup of a workspace's links
+shortUrlSchema.index({ workspaceId: 1, full: 1 });
+// Paginated link lists (personal or workspace), newest first by default.
+// An ObjectId starts with its creation time, so _id doubles as creation time.
+shortUrlSchema.index({ userId: 1, workspaceId: 1, _id: -1 });
+shortUrlSchema.index({ workspaceId: 1, _id: -1 });
+
+// Query matching links that have passed their date or used up their clicks
+function expiredFilter(now = new Date()) {
+  return {
+    $or: [
+      { expiresAt: { $ne: null, $lte: now } },
+      { maxClicks: { $ne: null }, $expr: { $gte: ['$clicks', '$maxClicks'] } }
+    ]
+  };
+}
+
+shortUrlSchema.methods.isExpired = function (now = new Date()) {
+  if (this.archivedAt) return true;
+  if (this.expiresAt && this.expiresAt <= now) return true;
+  return this.maxClicks != null && this.clicks >= this.maxClicks;
+};
+
+// Archives (or, with mode "purge", deletes along with their clicks) every expired link
+shortUrlSchema.statics.sweepExpired = async function (mode = 'archive') {
+  const now = new Date();
+  if (mode === 'purge') {
+    const ids = (await this.find(expiredFilter(now), '_id')).map((link) => link._id);
+    if (!ids.length) return 0;
+    await Click.deleteMany({ shortUrlId: { $in: ids } });
+    const result = await this.deleteMany({ _id: { $in: ids } });
+    return result.deletedCount;
+  }
+  const result = await this.updateMany(
+    { ...expiredFilter(now), archivedAt: null },
+    { $set: { archivedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+shortUrlSchema.statics.REDIRECT_TYPES = REDIRECT_TYPES;
+shortUrlSchema.statics.DEFAULT_REDIRECT_TYPE = DEFAULT_REDIRECT_TYPE;
+shortUrlSchema.statics.QUERY_MERGE_RULES = QUERY_MERGE_RULES;
+
 module.exports = mongoose.model('ShortUrl', shortUrlSchema);
@@ -4,7 +4,42 @@ const userSchema = new mongoose.Schema({
   firstName: { type: String, required: true },
   lastName:  { type: String, required: true },
   email:     { type: String, required: true, unique: true },
-  password:  { type: String, required: true }
+  password:  { type: String, required: true },
+  // Sessions logged in before this time were ended by a password change or reset
+  passwordChangedAt: { type: Date, default: null },
+  // New signups start unverified; accounts created before
+  // email verification existed count as verified.
+  emailVerified: { type: Boolean, default: true },
+  // New address waiting for confirmation after an email change
+  pendingEmail:  { type: String, default: null },
+  // TOTP two-factor authentication
+  twoFactorEnabled:       { type: Boolean, default: false },
+  twoFactorSecret:        { type: String, default: null },
+  // Time step of the last accepted code; codes at or before it are refused
+  twoFactorLastStep:      { type: Number, default: null },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: { type: [String], default: [] },
+  // Identity at the OpenID Connect provider, once the account has signed in with it
+  oidcIssuer:  { type: String, default: null },
+  oidcSubject: { type: String, default: null }
 });
 
+userSchema.index(
+  { oidcIssuer: 1, oidcSubject: 1 },
+  { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
+// Records `step` as the user's last accepted TOTP step; false if a code
+// from that step or a later one was already used
+userSchema.statics.claimTotpStep = async function (userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }]
+    },
+    { $set: { twoFactorLastStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
 module.exports = mongoose.model('User', userSchema);
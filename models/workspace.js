@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// A shared space whose links belong to the workspace rather than to
+// the member who created them, so they outlive any one member.
+const workspaceSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 64 },
+  members: [
+    {
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      role: { type: String, enum: ROLES, required: true },
+      joinedAt: { type: Date, default: Date.now }
+    }
+  ],
+  // Open invitations, matched against a user's (lower-cased) email address
+  invites: [
+    {
+      _id: false,
+      email: { type: String, required: true, lowercase: true, trim: true },
+      role: { type: String, enum: ROLES, required: true },
+      invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date, default: Date.now }
+    }
+  ],
+  createdAt: { type: Date, default: Date.now }
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ 'invites.email': 1 });
+
+// The member's role, or null for non-members
+workspaceSchema.methods.roleOf = function (userId) {
+  const member = this.members.find((m) => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+workspaceSchema.methods.ownerCount = function () {
+  return this.members.filter((m) => m.role === 'owner').length;
+};
+
+// Workspaces the user is a member of, by name
+workspaceSchema.statics.forUser = function (userId) {
+  return this.find({ 'members.userId': userId }).sort({ name: 1 });
+};
+
+workspaceSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,234 @@
+/**
+ * Versioned JSON API (mounted at /api/v1).
+ * Requests authenticate with a personal API token sent as
+ * "Authorization: Bearer <token>". Errors are returned as
+ * { "error": { "status": <code>, "message": "..." } }.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+const ShortUrl = require("../models/shorten");
+const Click = require("../models/click");
+const ApiToken = require("../models/apiToken");
+const User = require("../models/user");
+const Workspace = require("../models/workspace");
+const { createLink, updateLink, deleteLink } = require("../utils/links");
+const { hasRole, linkScope, linkRole } = require("../utils/workspaces");
+const { parseLinkSearch } = require("../utils/linkSearch");
+const { paginate } = require("../utils/pagination");
+const { appBaseUrl } = require("../utils/url");
+const { route } = require("../utils/route");
+
+const router = express.Router();
+router.use(express.json());
+
+function sendError(res, status, message) {
+  res.status(status).json({ error: { status, message } });
+}
+
+// JSON view of a link; never exposes the password hash
+function serializeLink(req, shortUrl) {
+  return {
+    short: shortUrl.short,
+    url: shortUrl.full,
+    shortUrl: `${appBaseUrl(req)}/short/${shortUrl.short}`,
+    title: shortUrl.title,
+    clicks: shortUrl.clicks,
+    expiresAt: shortUrl.expiresAt,
+    maxClicks: shortUrl.maxClicks,
+    expired: shortUrl.isExpired(),
+    tags: shortUrl.tags,
+    folder: shortUrl.folder,
+    redirectType: shortUrl.redirectType,
+    utm: shortUrl.utm,
+    queryPassthrough: shortUrl.queryPassthrough,
+    queryMerge: shortUrl.queryMerge,
+    targetRules: shortUrl.targetRules,
+    createdAt: shortUrl._id.getTimestamp(),
+    passwordProtected: Boolean(shortUrl.password),
+    workspace: shortUrl.workspaceId,
+  };
+}
+
+// Token authentication
+router.use(
+  route(async (req, res, next) => {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return sendError(res, 401, "Missing or malformed API token.");
+    }
+    const apiToken = await ApiToken.findByToken(token);
+    if (!apiToken) return sendError(res, 401, "Invalid or revoked API token.");
+    apiToken.lastUsedAt = new Date();
+    await apiToken.save();
+    req.apiUserId = apiToken.userId;
+    next();
+  })
+);
+
+// Loads a link the token's user has at least `neededRole` for
+const loadLink = (neededRole) =>
+  route(async (req, res, next) => {
+    const shortUrl = await ShortUrl.findOne({ short: req.params.short });
+    const role = shortUrl && (await linkRole(shortUrl, req.apiUserId));
+    if (!role) return sendError(res, 404, "Link not found.");
+    if (!hasRole(role, neededRole)) {
+      return sendError(res, 403, "You don't have permission to change this link.");
+    }
+    req.shortUrl = shortUrl;
+    next();
+  });
+
+/**
+ * Resolves an optional workspace ID (from ?workspace= or the body) for a
+ * member with at least `neededRole`. Returns { workspaceId } (null for
+ * personal links) or { error, status }.
+ */
+async function resolveWorkspace(userId, workspaceId, neededRole) {
+  if (!workspaceId) return { workspaceId: null };
+  const workspace =
+    mongoose.isValidObjectId(workspaceId) && (await Workspace.findById(workspaceId, "members"));
+  const role = workspace && workspace.roleOf(userId);
+  if (!role) return { error: "Workspace not found.", status: 404 };
+  if (!hasRole(role, neededRole)) {
+    return { error: "Viewers can't add links to this workspace.", status: 403 };
+  }
+  return { workspaceId: workspace._id };
+}
+
+// JSON fields that must be strings when they are given
+const STRING_FIELDS = ["url", "alias", "title", "folder", "queryMerge", "password", "workspace"];
+
+/**
+ * Maps the API's JSON field names onto the link service's input.
+ * Returns { input }, or { error } when a field has the wrong type.
+ */
+function linkInput(body) {
+  const wrongType = STRING_FIELDS.find(
+    (field) => body[field] !== undefined && body[field] !== null && typeof body[field] !== "string"
+  );
+  if (wrongType) return { error: `${wrongType} must be a string.` };
+  const input = {
+    fullUrl: body.url,
+    alias: body.alias,
+    short: body.alias,
+    title: body.title,
+    tags: body.tags,
+    folder: body.folder,
+    redirectType: body.redirectType,
+    utm: body.utm,
+    // Left undefined when absent so PATCH keeps the current setting
+    queryPassthrough: body.queryPassthrough === undefined ? undefined : body.queryPassthrough === true,
+    queryMerge: body.queryMerge,
+    targetRules: body.targetRules,
+    expiresAt: body.expiresAt,
+    maxClicks: body.maxClicks,
+    linkPassword: body.password,
+    forceNew: body.force === true,
+  };
+  return { input };
+}
+
+router.get(
+  "/links",
+  route(async (req, res) => {
+    const scope = await resolveWorkspace(req.apiUserId, req.query.workspace, "viewer");
+    if (scope.error) return sendError(res, scope.status, scope.error);
+    const search = parseLinkSearch(req.query);
+    const page = await paginate(
+      ShortUrl,
+      { ...linkScope(req.apiUserId, scope.workspaceId), ...search.filter },
+      search.sort,
+      { after: req.query.after, before: req.query.before, limit: search.params.limit }
+    );
+    res.json({
+      links: page.items.map((link) => serializeLink(req, link)),
+      page: {
+        limit: search.params.limit,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      },
+    });
+  })
+);
+
+router.post(
+  "/links",
+  route(async (req, res) => {
+    // Accounts without the flag predate email verification and count as verified
+    if (!(await User.exists({ _id: req.apiUserId, emailVerified: { $ne: false } }))) {
+      return sendError(res, 403, "Confirm your email address before creating links.");
+    }
+    const body = req.body || {};
+    const { input, error } = linkInput(body);
+    if (error) return sendError(res, 422, error);
+    const scope = await resolveWorkspace(req.apiUserId, body.workspace, "editor");
+    if (scope.error) return sendError(res, scope.status, scope.error);
+    const result = await createLink(req.apiUserId, { ...input, workspaceId: scope.workspaceId });
+    if (result.error) return sendError(res, result.status, result.error);
+    // An existing link for the same destination comes back with 200
+    res
+      .status(result.existing ? 200 : 201)
+      .json({ link: serializeLink(req, result.link), existing: Boolean(result.existing) });
+  })
+);
+
+router.get("/links/:short", loadLink("viewer"), (req, res) => {
+  res.json({ link: serializeLink(req, req.shortUrl) });
+});
+
+router.patch(
+  "/links/:short",
+  loadLink("editor"),
+  route(async (req, res) => {
+    const { input, error } = linkInput(req.body || {});
+    if (error) return sendError(res, 422, error);
+    delete input.alias;
+    delete input.linkPassword;
+    delete input.forceNew;
+    const result = await updateLink(req.shortUrl, input);
+    if (result.error) return sendError(res, result.status, result.error);
+    res.json({ link: serializeLink(req, result.link) });
+  })
+);
+
+router.delete(
+  "/links/:short",
+  loadLink("editor"),
+  route(async (req, res) => {
+    await deleteLink(req.shortUrl);
+    res.status(204).end();
+  })
+);
+
+router.get(
+  "/links/:short/stats",
+  loadLink("viewer"),
+  route(async (req, res) => {
+    const stats = await Click.linkStats(req.shortUrl._id, req.query.bucket);
+    res.json({ short: req.shortUrl.short, stats });
+  })
+);
+
+// Unknown API routes
+router.use((req, res) => {
+  sendError(res, 404, "Not found.");
+});
+
+// Error handler (Express needs all four arguments to treat it as one)
+router.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON.");
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large.");
+  }
+  // Other body parser errors (unsupported charset or encoding, ...) carry their own status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.message);
+  }
+  console.error("API error:", err);
+  sendError(res, 500, "Internal server error.");
+});
+
+module.exports = router;
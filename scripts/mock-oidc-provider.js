@@ -0,0 +1,184 @@
+/**
+ * A minimal OpenID Connect provider for trying out and testing
+ * "Sign in with SSO" locally. It is for development only: there are
+ * no passwords, and the sign-in page lets you pick any identity.
+ *
+ * Start it with `npm run mockOidc`, then set in .env:
+ *   OIDC_ISSUER=http://localhost:5001
+ *   OIDC_CLIENT_ID=url-shortener
+ *   OIDC_CLIENT_SECRET=mock-secret
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const PORT = process.env.MOCK_OIDC_PORT || 5001;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || "url-shortener";
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || "mock-secret";
+
+// A fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" };
+
+// Authorization codes and access tokens, kept in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function signJwt(payload) {
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT", kid: KEY_ID }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${body}`), privateKey);
+  return `${header}.${body}.${signature.toString("base64url")}`;
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: ["openid", "email", "profile"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+    code_challenge_methods_supported: ["S256"],
+    claims_supported: ["sub", "email", "email_verified", "name", "given_name", "family_name"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// The "sign-in" page: choose the identity to return to the app
+app.get("/authorize", (req, res) => {
+  if (req.query.client_id !== CLIENT_ID || !req.query.redirect_uri) {
+    return res.status(400).send("Unknown client_id or missing redirect_uri");
+  }
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge", "scope"]
+    .map((name) => {
+      const value = escapeHtml(req.query[name] || "");
+      return `<input type="hidden" name="${name}" value="${value}">`;
+    })
+    .join("\n");
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>Mock OIDC Provider</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 3rem auto;">
+  <h1>Mock OIDC Provider</h1>
+  <form method="POST" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input type="email" name="email" value="jane@example.com" required></label></p>
+    <p><label>Given name<br><input type="text" name="given_name" value="Jane"></label></p>
+    <p><label>Family name<br><input type="text" name="family_name" value="Doe"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email is verified</label></p>
+    <button type="submit" name="decision" value="allow">Sign in</button>
+    <button type="submit" name="decision" value="deny">Deny</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { redirect_uri: redirectUri, state } = req.body;
+  const target = new URL(redirectUri);
+  if (state) target.searchParams.set("state", state);
+  if (req.body.decision === "deny") {
+    target.searchParams.set("error", "access_denied");
+    return res.redirect(target.toString());
+  }
+  const email = req.body.email.trim();
+  const claims = {
+    // The same email always gets the same subject
+    sub: crypto.createHash("sha256").update(email.toLowerCase()).digest("hex").slice(0, 24),
+    email,
+    email_verified: req.body.email_verified === "on",
+    given_name: req.body.given_name,
+    family_name: req.body.family_name,
+    name: `${req.body.given_name} ${req.body.family_name}`.trim(),
+  };
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    claims,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+  target.searchParams.set("code", code);
+  res.redirect(target.toString());
+});
+
+// Client credentials from the Authorization header or the form body
+function clientCredentials(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64").toString().split(":");
+    return { id: decodeURIComponent(id), secret: decodeURIComponent(secret || "") };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+}
+
+app.post("/token", (req, res) => {
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  const client = clientCredentials(req);
+  const fail = (error) => res.status(400).json({ error });
+
+  if (req.body.grant_type !== "authorization_code") return fail("unsupported_grant_type");
+  if (client.id !== CLIENT_ID || (client.secret && client.secret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== client.id) {
+    return fail("invalid_grant");
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) return fail("invalid_grant");
+  if (grant.codeChallenge) {
+    const challenge = crypto
+      .createHash("sha256")
+      .update(req.body.code_verifier || "")
+      .digest("base64url");
+    if (challenge !== grant.codeChallenge) return fail("invalid_grant");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, grant.claims);
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 3600,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + 3600,
+      nonce: grant.nonce,
+      ...grant.claims,
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  const claims = accessTokens.get(token);
+  if (!claims) return res.status(401).json({ error: "invalid_token" });
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id "${CLIENT_ID}")`);
+});
@@ -11,18 +11,96 @@ const express = require("express");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const session = require("express-session");
+const MongoStore = require("connect-mongo");
 const cookieParser = require("cookie-parser"); // Added to parse cookies
 const path = require("path");
 const ShortUrl = require("./models/shorten");
 const User = require("./models/user");
+const Click = require("./models/click");
+const ApiToken = require("./models/apiToken");
+const AuthToken = require("./models/authToken");
+const Workspace = require("./models/workspace");
+const { createLink, updateLink, deleteLink } = require("./utils/links");
+const { hasRole, linkScope, linkRole, activeWorkspace } = require("./utils/workspaces");
+const { parseLinkSearch, searchQuery, sortLinks } = require("./utils/linkSearch");
+const { paginate } = require("./utils/pagination");
+const { createRateLimiter } = require("./utils/rateLimit");
+const {
+  startLoginAttempt,
+  recordLoginSuccess,
+} = require("./utils/loginThrottle");
+const {
+  generateSecret,
+  enrollmentQr,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+} = require("./utils/twoFactor");
+const { describeClick } = require("./utils/analytics");
+const { isRedirectable, appBaseUrl, emailBaseUrl } = require("./utils/url");
+const { redirectResponse, REDIRECT_TYPES } = require("./utils/redirect");
+const { buildDestination, utmFromFields, UTM_FIELDS } = require("./utils/destination");
+const {
+  targetDestination,
+  targetRulesFromFields,
+  DEVICE_TYPES,
+} = require("./utils/targeting");
+const { parseQrOptions, renderQr } = require("./utils/qr");
+const { parseImportFile, importRows, exportLinks } = require("./utils/bulk");
+const { sendMail, isMailConfigured } = require("./utils/mailer");
+const {
+  isOidcEnabled,
+  oidcProviderName,
+  startOidcSignIn,
+  finishOidcSignIn,
+  findOrCreateOidcUser,
+} = require("./utils/oidc");
+const multer = require("multer");
+const { provideCsrfToken, csrfProtection, verifyCsrf } = require("./utils/csrf");
+const { route } = require("./utils/route");
 const app = express();
 
+// A form field as a string. A repeated field arrives as an array, so
+// anything other than a string reads as blank, like a missing field.
+const formText = (value) => (typeof value === "string" ? value : "");
+
+// Behind a reverse proxy every request comes from the proxy's address, so
+// req.ip (rate limits, login throttling, analytics, geo targeting) has to be
+// read from X-Forwarded-For. TRUST_PROXY is the number of proxies in front of
+// the app; on Render and Vercel it defaults to their one proxy.
+const proxyHops = process.env.TRUST_PROXY
+  ? Number(process.env.TRUST_PROXY)
+  : Number(Boolean(process.env.RENDER || process.env.VERCEL));
+if (proxyHops > 0) app.set("trust proxy", proxyHops);
+
 // Serve static files from /images and /public
 app.use(express.static(path.join(__dirname, "images")));
 app.use("/images", express.static(path.join(__dirname, "images")));
 const favicon = require("serve-favicon");
 app.use(favicon(path.join(__dirname, "images", "logo.png")));
 
+// Emails with links (confirmations, password resets, invitations) need APP_URL
+// and a mail transport
+if (!emailBaseUrl()) {
+  console.warn("APP_URL is not set: emails with links to this app won't be sent");
+}
+if (!isMailConfigured()) {
+  console.warn("MAIL_TRANSPORT is not set: emails won't be sent");
+}
+const canSendEmail = () => Boolean(emailBaseUrl()) && isMailConfigured();
+const EMAIL_UNAVAILABLE = "Emails can't be sent right now. Please contact the site owner.";
+
+// Sends an email; false (after logging why) if the transport failed
+async function deliverMail(message) {
+  try {
+    await sendMail(message);
+    return true;
+  } catch (err) {
+    console.error(`Sending "${message.subject}" failed:`, err.message);
+    return false;
+  }
+}
+
 // Connect to MongoDB
 if (!process.env.MONGODB_URI) {
   console.error("MONGODB_URI environment variable is not set");
@@ -44,27 +122,48 @@ mongoose
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 
+// JSON API, authenticated with personal API tokens instead of sessions
+app.use("/api/v1", require("./routes/api"));
+
 // Check for required SESSION_SECRET
 if (!process.env.SESSION_SECRET) {
   console.error("SESSION_SECRET environment variable is not set");
   process.exit(1);
 }
 
+const SESSION_MAX_AGE = 30 * 60 * 1000; // 30 minutes
+const REMEMBER_ME_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
 app.use(
   session({
     secret: process.env.SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
-    cookie: { maxAge: 30 * 60 * 1000 }, // 30 minutes
+    cookie: { maxAge: SESSION_MAX_AGE },
+    // Sessions live in MongoDB (on the mongoose connection) so restarts and
+    // serverless cold starts don't log everyone out. Each session expires
+    // with its cookie and MongoDB's TTL index removes it.
+    store: MongoStore.create({
+      clientPromise: mongoose.connection.asPromise().then((conn) => conn.getClient()),
+      collectionName: "sessions",
+      ttl: SESSION_MAX_AGE / 1000,
+      autoRemove: "native",
+    }),
   })
 );
 app.use(require("express-flash")());
 app.set("view engine", "ejs");
 
-// Flash message middleware to pass errors to views
+// CSRF tokens for every form, checked on every state-changing request
+app.use(provideCsrfToken);
+app.use(csrfProtection({ multipartPaths: ["/links/import"] }));
+
+// Flash message middleware to pass errors (and notices) to views
 app.use((req, res, next) => {
   res.locals.error = req.session.error;
+  res.locals.notice = req.session.notice;
   delete req.session.error;
+  delete req.session.notice;
   next();
 });
 
@@ -133,14 +232,36 @@ function isNotAuthenticated(req, res, next) {
   next();
 }
 
-// Route protection middleware for logged-in users
-function requireAuth(req, res, next) {
+// Whether the password was changed or reset after `time` (a timestamp)
+function passwordChangedSince(user, time) {
+  return Boolean(user.passwordChangedAt) && user.passwordChangedAt.getTime() > (time || 0);
+}
+
+// Route protection middleware for logged-in users; sessions logged in
+// before the password was last changed or reset are logged out
+const requireAuth = route(async (req, res, next) => {
   if (!req.session.userId) {
     req.session.error = "You must be logged in to access this page.";
     return res.redirect("/login");
   }
+  const user = await User.findById(req.session.userId, "passwordChangedAt");
+  if (!user || passwordChangedSince(user, req.session.authAt)) {
+    delete req.session.userId;
+    req.session.error = "Your session has ended. Please log in again.";
+    return res.redirect("/login");
+  }
   next();
-}
+});
+
+// Blocks link creation until the user has confirmed their email address
+const requireVerified = route(async (req, res, next) => {
+  const user = await User.findById(req.session.userId);
+  if (!user || !user.emailVerified) {
+    req.session.error = "Please confirm your email address before creating links.";
+    return res.redirect("/home");
+  }
+  next();
+});
 
 // Landing Page (redirect to home if already logged in)
 // This page should include a small inline script that sets the js_enabled cookie.
@@ -151,26 +272,35 @@ app.get("/", (req, res) => {
   res.render("landing");
 });
 
+// Passwords must be 8 characters or more
+const passwordRegex = /^.{8,}$/;
+// Email format check shared by signup and email changes
+const emailRegex = /^[-\w.]+@([-\w]+\.)+[-\w]{2,4}$/;
+
 // Signup Routes
 app.get("/signup", isNotAuthenticated, (req, res) => {
-  res.render("signup", { error: res.locals.error });
+  res.render("signup", {
+    error: res.locals.error,
+    oidcName: isOidcEnabled() ? oidcProviderName() : null,
+  });
 });
 
-app.post("/signup", async (req, res) => {
-  const { firstName, lastName, email, password } = req.body;
+app.post("/signup", route(async (req, res) => {
+  const firstName = formText(req.body.firstName);
+  const lastName = formText(req.body.lastName);
+  const email = formText(req.body.email);
+  const password = formText(req.body.password);
   // Basic server-side validation
   if (!firstName || !lastName || !email || !password) {
     req.session.error = "All fields are required.";
     return res.redirect("/signup");
   }
   // Validate email format using a corrected regex.
-  const emailRegex = /^[-\w.]+@([-\w]+\.)+[-\w]{2,4}$/;
   if (!emailRegex.test(email)) {
     req.session.error = "Invalid email format.";
     return res.redirect("/signup");
   }
   // Validate password length (8 characters or more)
-  const passwordRegex = /^.{8,}$/;
   if (!passwordRegex.test(password)) {
     req.session.error = "Password must be at least 8 characters long.";
     return res.redirect("/signup");
@@ -183,31 +313,280 @@ app.post("/signup", async (req, res) => {
   }
   // Create new user
   const hashedPassword = await bcrypt.hash(password, 10);
-  await User.create({ firstName, lastName, email, password: hashedPassword });
+  const user = await User.create({
+    firstName,
+    lastName,
+    email,
+    password: hashedPassword,
+    emailVerified: false,
+  });
+  req.session.notice = (await sendVerificationEmail(user))
+    ? "Account created! Check your email for a link to confirm your address."
+    : "Account created! We couldn't send a confirmation email yet; " +
+      "you can ask for one after logging in.";
   // Redirect to login page upon successful signup
   res.redirect("/login");
+}));
+
+// Email Verification Routes
+const VERIFY_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Confirmation emails resent, counted per user
+const verifyResendLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  prefix: "verify-resend:",
 });
 
+// Returns false when the email couldn't be sent
+async function sendVerificationEmail(user) {
+  if (!canSendEmail()) return false;
+  const token = await AuthToken.issue(user._id, "email-verification", VERIFY_TOKEN_TTL);
+  const link = `${emailBaseUrl()}/verify-email/${token}`;
+  return deliverMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Please confirm your email address by opening the link below. It expires in 24 hours.\n\n` +
+      `${link}\n\nIf you didn't create an account, you can ignore this email.`,
+  });
+}
+
+app.get("/verify-email/:token", route(async (req, res) => {
+  const token = await AuthToken.consume(req.params.token, "email-verification");
+  if (!token) {
+    req.session.error = "This confirmation link is invalid or has expired.";
+  } else {
+    await User.updateOne({ _id: token.userId }, { emailVerified: true });
+    req.session.notice = "Thanks! Your email address is confirmed.";
+  }
+  res.redirect(req.session.userId ? "/home" : "/login");
+}));
+
+app.post("/verify-email/resend", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!user || user.emailVerified) return res.redirect("/home");
+  const key = String(user._id);
+  if (await verifyResendLimiter.isBlocked(key)) {
+    req.session.error = "Too many confirmation emails requested. Please try again later.";
+    return res.redirect("/home");
+  }
+  if (!canSendEmail()) {
+    req.session.error = EMAIL_UNAVAILABLE;
+    return res.redirect("/home");
+  }
+  await verifyResendLimiter.hit(key);
+  if (!(await sendVerificationEmail(user))) {
+    req.session.error = EMAIL_UNAVAILABLE;
+    return res.redirect("/home");
+  }
+  req.session.notice = `We've sent a new confirmation link to ${user.email}.`;
+  res.redirect("/home");
+}));
+
 // Login Routes
 app.get("/login", isNotAuthenticated, (req, res) => {
-  res.render("login", { error: res.locals.error });
+  res.render("login", {
+    error: res.locals.error,
+    oidcName: isOidcEnabled() ? oidcProviderName() : null,
+  });
 });
 
-app.post("/login", async (req, res) => {
-  const { email, password } = req.body;
+app.post("/login", route(async (req, res) => {
+  const email = formText(req.body.email);
+  const password = formText(req.body.password);
   if (!email || !password) {
     req.session.error = "Both email and password are required.";
     return res.redirect("/login");
   }
+  // Throttle repeated attempts; the message doesn't say whether the account exists
+  const attempt = await startLoginAttempt(req.ip, email);
+  if (!attempt.allowed) {
+    const seconds = Math.ceil(attempt.retryAfter / 1000);
+    req.session.error =
+      seconds > 60
+        ? `Too many failed login attempts. Please try again in ${Math.ceil(seconds / 60)} minute(s).`
+        : `Too many failed login attempts. Please try again in ${seconds} second(s).`;
+    return res.redirect("/login");
+  }
   const user = await User.findOne({ email });
   if (!user || !(await bcrypt.compare(password, user.password))) {
     req.session.error = "Invalid email or password.";
     return res.redirect("/login");
   }
-  req.session.userId = user._id;
+  const rememberMe = req.body.rememberMe === "on";
+  // Accounts with 2FA need a code before the session is logged in
+  if (user.twoFactorEnabled) {
+    req.session.pendingTwoFactor = { userId: user._id, startedAt: Date.now(), rememberMe };
+    return res.redirect("/login/2fa");
+  }
+  await recordLoginSuccess(email, req.ip);
+  await logIn(req, user, rememberMe);
   res.redirect("/home");
+}));
+
+// Marks the session as logged in; "remember me" keeps it for 30 days instead of 30 minutes.
+// It gets a new session ID first, so an ID (and CSRF token) handed out before
+// login, possibly planted by someone else, is worthless afterwards.
+function logIn(req, user, rememberMe) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.userId = user._id;
+      req.session.authAt = Date.now();
+      req.session.cookie.maxAge = rememberMe ? REMEMBER_ME_MAX_AGE : SESSION_MAX_AGE;
+      resolve();
+    });
+  });
+}
+
+// Two-Factor Login Routes
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000; // 5 minutes to enter the code
+// Wrong codes, counted per user
+const twoFactorLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  prefix: "login-2fa:",
 });
 
+// Returns the user half-way through a 2FA login, or null
+async function pendingTwoFactorUser(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_LOGIN_TTL) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  const user = await User.findById(pending.userId);
+  if (!user || passwordChangedSince(user, pending.startedAt)) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  return user;
+}
+
+app.get("/login/2fa", route(async (req, res) => {
+  const user = await pendingTwoFactorUser(req);
+  if (!user) return res.redirect("/login");
+  res.render("login-2fa");
+}));
+
+app.post("/login/2fa", route(async (req, res) => {
+  const user = await pendingTwoFactorUser(req);
+  if (!user) {
+    req.session.error = "Your login session expired. Please log in again.";
+    return res.redirect("/login");
+  }
+  const key = String(user._id);
+  // Counted before the code is checked, so parallel guesses can't slip past the limit
+  if (!(await twoFactorLimiter.attempt(key))) {
+    delete req.session.pendingTwoFactor;
+    req.session.error = "Too many incorrect codes. Please try again later.";
+    return res.redirect("/login");
+  }
+  const code = formText(req.body.code).trim();
+  const step = verifyTotp(user.twoFactorSecret, code);
+  let valid = step !== null && (await User.claimTotpStep(user._id, step));
+  if (!valid && code) {
+    // Recovery codes work once: remove the matching hash atomically
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashRecoveryCode(code) },
+      { $pull: { twoFactorRecoveryCodes: hashRecoveryCode(code) } }
+    );
+    valid = result.modifiedCount === 1;
+  }
+  if (!valid) {
+    req.session.error = "Invalid authentication code.";
+    return res.redirect("/login/2fa");
+  }
+  await twoFactorLimiter.reset(key);
+  await recordLoginSuccess(user.email);
+  const { rememberMe } = req.session.pendingTwoFactor;
+  delete req.session.pendingTwoFactor;
+  await logIn(req, user, rememberMe);
+  res.redirect("/home");
+}));
+
+// OpenID Connect Sign-In Routes
+app.get("/auth/oidc", isNotAuthenticated, route(async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).render("404");
+  let url;
+  try {
+    url = await startOidcSignIn(req);
+  } catch (err) {
+    console.error("OIDC discovery failed:", err.message);
+    req.session.error = `${oidcProviderName()} sign-in is unavailable right now.`;
+    return res.redirect("/login");
+  }
+  res.redirect(url);
+}));
+
+app.get("/auth/oidc/callback", route(async (req, res) => {
+  if (!isOidcEnabled()) return res.status(404).render("404");
+  const reauth = Boolean(req.session.oidc && req.session.oidc.reauth);
+  const result = await finishOidcSignIn(req);
+  if (reauth) return finishReauth(req, res, result);
+  const { user, error } = result.error
+    ? result
+    : await findOrCreateOidcUser(result.issuer, result.claims);
+  if (error) {
+    req.session.error = error;
+    return res.redirect("/login");
+  }
+  // The provider replaces the password, but an enabled 2FA is still asked for
+  if (user.twoFactorEnabled) {
+    req.session.pendingTwoFactor = { userId: user._id, startedAt: Date.now(), rememberMe: false };
+    return res.redirect("/login/2fa");
+  }
+  await recordLoginSuccess(user.email);
+  await logIn(req, user, false);
+  res.redirect("/home");
+}));
+
+// Re-authentication for settings changes by users who sign in through the
+// provider and may not know their password (see confirmsIdentity)
+const REAUTH_TTL = 5 * 60 * 1000; // 5 minutes
+
+app.get("/settings/reauth", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!isOidcEnabled() || !user || !user.oidcSubject) return res.redirect("/settings");
+  let url;
+  try {
+    url = await startOidcSignIn(req, { reauth: true });
+  } catch (err) {
+    console.error("OIDC discovery failed:", err.message);
+    req.session.error = `${oidcProviderName()} sign-in is unavailable right now.`;
+    return res.redirect("/settings");
+  }
+  res.redirect(url);
+}));
+
+// Only the identity linked to the logged-in account counts
+async function finishReauth(req, res, result) {
+  const user = req.session.userId && (await User.findById(req.session.userId));
+  if (!user) return res.redirect("/login");
+  if (result.error) {
+    req.session.error = result.error;
+  } else if (user.oidcIssuer !== result.issuer || user.oidcSubject !== result.claims.sub) {
+    req.session.error = `That isn't the ${oidcProviderName()} account linked to yours.`;
+  } else {
+    req.session.reauthenticatedAt = Date.now();
+    req.session.notice = `Confirmed with ${oidcProviderName()}.`;
+  }
+  res.redirect("/settings");
+}
+
+// Whether the user signed in with the provider again in the last few minutes
+function recentlyReauthenticated(req, user) {
+  const at = req.session.reauthenticatedAt;
+  return Boolean(user.oidcSubject && at && Date.now() - at < REAUTH_TTL);
+}
+
+// The current password, or a fresh provider sign-in, confirms sensitive changes
+async function confirmsIdentity(req, user, password) {
+  if (recentlyReauthenticated(req, user)) return true;
+  return bcrypt.compare(formText(password), user.password);
+}
+
 // Logout Route
 app.get("/logout", (req, res) => {
   req.session.destroy(() => {
@@ -215,41 +594,977 @@ app.get("/logout", (req, res) => {
   });
 });
 
-// Home Page (Protected)
-app.get("/home", requireAuth, async (req, res) => {
-  const shortUrls = await ShortUrl.find({ userId: req.session.userId });
-  res.render("index", { shortUrls });
+// Password Reset Routes
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+// Reset emails requested, counted per client IP
+const resetLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  prefix: "password-reset:",
 });
 
+app.get("/forgot-password", isNotAuthenticated, (req, res) => {
+  res.render("forgot-password");
+});
+
+app.post("/forgot-password", route(async (req, res) => {
+  const email = formText(req.body.email).trim();
+  if (!email) {
+    req.session.error = "Please enter your email address.";
+    return res.redirect("/forgot-password");
+  }
+  if (!canSendEmail()) {
+    req.session.error = EMAIL_UNAVAILABLE;
+    return res.redirect("/forgot-password");
+  }
+  if (await resetLimiter.isBlocked(req.ip)) {
+    req.session.error = "Too many reset requests. Please try again later.";
+    return res.redirect("/forgot-password");
+  }
+  await resetLimiter.hit(req.ip);
+  const user = await User.findOne({ email });
+  if (user) {
+    const token = await AuthToken.issue(user._id, "password-reset", RESET_TOKEN_TTL);
+    const link = `${emailBaseUrl()}/reset-password/${token}`;
+    const sent = await deliverMail({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Hi ${user.firstName},\n\n` +
+        `Use the link below to choose a new password. It expires in 1 hour and can only be used once.\n\n` +
+        `${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+    });
+    if (!sent) {
+      req.session.error = EMAIL_UNAVAILABLE;
+      return res.redirect("/forgot-password");
+    }
+  }
+  // Same answer either way, so the form can't be used to discover accounts
+  req.session.notice =
+    "If an account exists for that email, we've sent a link to reset the password.";
+  res.redirect("/forgot-password");
+}));
+
+app.get("/reset-password/:token", route(async (req, res) => {
+  const token = await AuthToken.findValid(req.params.token, "password-reset");
+  res.render("reset-password", {
+    token: token ? req.params.token : null,
+  });
+}));
+
+app.post("/reset-password/:token", route(async (req, res) => {
+  const password = formText(req.body.password);
+  const confirmPassword = formText(req.body.confirmPassword);
+  const retry = `/reset-password/${encodeURIComponent(req.params.token)}`;
+  if (!password || !passwordRegex.test(password)) {
+    req.session.error = "Password must be at least 8 characters long.";
+    return res.redirect(retry);
+  }
+  if (password !== confirmPassword) {
+    req.session.error = "Passwords do not match.";
+    return res.redirect(retry);
+  }
+  const token = await AuthToken.consume(req.params.token, "password-reset");
+  if (!token) return res.redirect(retry);
+  const hashedPassword = await bcrypt.hash(password, 10);
+  // Logs out every session of the account, including one that may be open here
+  await User.updateOne(
+    { _id: token.userId },
+    { password: hashedPassword, passwordChangedAt: new Date() }
+  );
+  req.session.notice = "Your password has been reset. You can now log in.";
+  res.redirect("/login");
+}));
+
+// Account Settings (Protected)
+app.get("/settings", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!user) return res.redirect("/logout");
+  // Enrollment in progress: show the QR code for the pending secret
+  const pendingSecret = user.twoFactorEnabled ? null : req.session.pendingTwoFactorSecret;
+  const enrollment = pendingSecret
+    ? { secret: pendingSecret, qr: await enrollmentQr(user.email, pendingSecret) }
+    : null;
+  // Fresh recovery codes are shown once
+  const recoveryCodes = req.session.newRecoveryCodes;
+  delete req.session.newRecoveryCodes;
+  const reauth = {
+    available: isOidcEnabled() && Boolean(user.oidcSubject),
+    confirmed: recentlyReauthenticated(req, user),
+    name: oidcProviderName(),
+  };
+  res.render("settings", { user, enrollment, recoveryCodes, reauth });
+}));
+
+// Update first and last name (Protected)
+app.post("/settings/profile", requireAuth, route(async (req, res) => {
+  const firstName = formText(req.body.firstName).trim();
+  const lastName = formText(req.body.lastName).trim();
+  if (!firstName || !lastName) {
+    req.session.error = "First and last name are required.";
+    return res.redirect("/settings");
+  }
+  await User.updateOne({ _id: req.session.userId }, { firstName, lastName });
+  req.session.notice = "Your profile has been updated.";
+  res.redirect("/settings");
+}));
+
+// Request an email change; it takes effect once the new address is confirmed (Protected)
+const EMAIL_CHANGE_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+app.post("/settings/email", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  const email = formText(req.body.email).trim();
+  if (!(await confirmsIdentity(req, user, req.body.password))) {
+    req.session.error = "Incorrect password.";
+    return res.redirect("/settings");
+  }
+  if (!emailRegex.test(email)) {
+    req.session.error = "Invalid email format.";
+    return res.redirect("/settings");
+  }
+  if (email === user.email) {
+    req.session.error = "That's already your email address.";
+    return res.redirect("/settings");
+  }
+  if (await User.exists({ email })) {
+    req.session.error = "Email is already registered.";
+    return res.redirect("/settings");
+  }
+  if (!canSendEmail()) {
+    req.session.error = EMAIL_UNAVAILABLE;
+    return res.redirect("/settings");
+  }
+  const token = await AuthToken.issue(user._id, "email-change", EMAIL_CHANGE_TOKEN_TTL);
+  const sent = await deliverMail({
+    to: email,
+    subject: "Confirm your new email address",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Open the link below to use this address for your account. It expires in 24 hours.\n\n` +
+      `${emailBaseUrl()}/confirm-email/${token}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`,
+  });
+  if (!sent) {
+    req.session.error = EMAIL_UNAVAILABLE;
+    return res.redirect("/settings");
+  }
+  // Only waiting for confirmation once the link is on its way
+  user.pendingEmail = email;
+  await user.save();
+  req.session.notice = `We've sent a confirmation link to ${email}. Your email changes once you open it.`;
+  res.redirect("/settings");
+}));
+
+app.get("/confirm-email/:token", route(async (req, res) => {
+  const token = await AuthToken.consume(req.params.token, "email-change");
+  const user = token && (await User.findById(token.userId));
+  if (!user || !user.pendingEmail) {
+    req.session.error = "This confirmation link is invalid or has expired.";
+  } else if (await User.exists({ email: user.pendingEmail })) {
+    req.session.error = "That email address has been registered by another account.";
+  } else {
+    user.email = user.pendingEmail;
+    user.pendingEmail = null;
+    user.emailVerified = true;
+    await user.save();
+    req.session.notice = "Your email address has been changed.";
+  }
+  res.redirect(req.session.userId ? "/settings" : "/login");
+}));
+
+// Change the password after checking the current one (Protected)
+app.post("/settings/password", requireAuth, route(async (req, res) => {
+  const newPassword = formText(req.body.newPassword);
+  const confirmPassword = formText(req.body.confirmPassword);
+  const user = await User.findById(req.session.userId);
+  if (!(await confirmsIdentity(req, user, req.body.currentPassword))) {
+    req.session.error = "Your current password is incorrect.";
+    return res.redirect("/settings");
+  }
+  if (!newPassword || !passwordRegex.test(newPassword)) {
+    req.session.error = "Password must be at least 8 characters long.";
+    return res.redirect("/settings");
+  }
+  if (newPassword !== confirmPassword) {
+    req.session.error = "Passwords do not match.";
+    return res.redirect("/settings");
+  }
+  user.password = await bcrypt.hash(newPassword, 10);
+  // Logs out the account's other sessions; this one stays logged in
+  user.passwordChangedAt = new Date();
+  await user.save();
+  req.session.authAt = user.passwordChangedAt.getTime();
+  req.session.notice = "Your password has been changed.";
+  res.redirect("/settings");
+}));
+
+// Delete the account; its personal links are deleted or handed to another account (Protected)
+app.post("/settings/delete", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!(await confirmsIdentity(req, user, req.body.password))) {
+    req.session.error = "Incorrect password.";
+    return res.redirect("/settings");
+  }
+  // Workspace links stay with the workspace, which must keep an owner
+  const workspaces = await Workspace.forUser(user._id);
+  const soleOwned = workspaces.filter(
+    (workspace) => workspace.roleOf(user._id) === "owner" && workspace.ownerCount() === 1
+  );
+  if (soleOwned.length) {
+    const names = soleOwned.map((workspace) => `"${workspace.name}"`).join(", ");
+    req.session.error = `You're the only owner of ${names}. Make someone else an owner or delete the workspace first.`;
+    return res.redirect("/settings");
+  }
+  const personalLinks = linkScope(user._id, null);
+  if (req.body.linkAction === "transfer") {
+    // Only to someone the user already works with, so links can't be pushed
+    // onto a stranger's dashboard without their agreement
+    const recipient = await User.findOne({ email: formText(req.body.transferEmail).trim() });
+    const sharesWorkspace =
+      recipient && workspaces.some((workspace) => workspace.roleOf(recipient._id));
+    if (!sharesWorkspace || recipient._id.equals(user._id)) {
+      req.session.error =
+        "Links can only be transferred to another member of one of your workspaces.";
+      return res.redirect("/settings");
+    }
+    await ShortUrl.updateMany(personalLinks, { userId: recipient._id });
+  } else {
+    const links = await ShortUrl.find(personalLinks, "_id");
+    await Click.deleteMany({ shortUrlId: { $in: links.map((link) => link._id) } });
+    await ShortUrl.deleteMany(personalLinks);
+  }
+  await Workspace.updateMany(
+    { "members.userId": user._id },
+    { $pull: { members: { userId: user._id } } }
+  );
+  await ApiToken.deleteMany({ userId: user._id });
+  await AuthToken.deleteMany({ userId: user._id });
+  await user.deleteOne();
+  req.session.destroy(() => {
+    res.redirect("/");
+  });
+}));
+
+// Enrolling again while 2FA is on would swap the owner's secret and recovery
+// codes for new ones without any proof of them; 2FA has to be turned off
+// (which asks for the password) first
+const TWO_FACTOR_ALREADY_ON =
+  "Two-factor authentication is already on. Turn it off first to set it up again.";
+
+// Start 2FA enrollment with a new secret (Protected)
+app.post("/settings/2fa/setup", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!user) return res.redirect("/settings");
+  if (user.twoFactorEnabled) {
+    req.session.error = TWO_FACTOR_ALREADY_ON;
+    return res.redirect("/settings");
+  }
+  req.session.pendingTwoFactorSecret = generateSecret();
+  res.redirect("/settings");
+}));
+
+// Finish 2FA enrollment by confirming a code from the app (Protected)
+app.post("/settings/2fa/enable", requireAuth, route(async (req, res) => {
+  const secret = req.session.pendingTwoFactorSecret;
+  if (!secret) return res.redirect("/settings");
+  const step = verifyTotp(secret, formText(req.body.code));
+  if (step === null) {
+    req.session.error = "That code didn't match. Check your authenticator app and try again.";
+    return res.redirect("/settings");
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  // The confirmation code counts as used, so it can't also log in.
+  // Only matches while 2FA is off, so an enabled secret is never replaced.
+  const result = await User.updateOne(
+    { _id: req.session.userId, twoFactorEnabled: false },
+    {
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastStep: step,
+    }
+  );
+  delete req.session.pendingTwoFactorSecret;
+  if (result.modifiedCount === 0) {
+    req.session.error = TWO_FACTOR_ALREADY_ON;
+    return res.redirect("/settings");
+  }
+  req.session.newRecoveryCodes = codes;
+  req.session.notice = "Two-factor authentication is now on.";
+  res.redirect("/settings");
+}));
+
+// Replace the recovery codes (Protected)
+app.post("/settings/2fa/recovery-codes", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!user || !user.twoFactorEnabled) return res.redirect("/settings");
+  const step = verifyTotp(user.twoFactorSecret, formText(req.body.code));
+  if (step === null || !(await User.claimTotpStep(user._id, step))) {
+    req.session.error = "Invalid authentication code.";
+    return res.redirect("/settings");
+  }
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+  req.session.newRecoveryCodes = codes;
+  res.redirect("/settings");
+}));
+
+// Turn 2FA off; needs the account password (Protected)
+app.post("/settings/2fa/disable", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (!user || !user.twoFactorEnabled) return res.redirect("/settings");
+  if (!(await confirmsIdentity(req, user, req.body.password))) {
+    req.session.error = "Incorrect password.";
+    return res.redirect("/settings");
+  }
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = null;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastStep = null;
+  await user.save();
+  req.session.notice = "Two-factor authentication is now off.";
+  res.redirect("/settings");
+}));
+
+// Home Page (Protected)
+// Shows the user's personal links, or those of the workspace they switched to,
+// narrowed down by the search and filters in the query string, one page at a time
+app.get("/home", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  const current = await activeWorkspace(req);
+  const workspace = current ? current.workspace : null;
+  // A user owns their personal links
+  const role = current ? current.role : "owner";
+  const workspaces = await Workspace.forUser(req.session.userId);
+  const scope = linkScope(req.session.userId, workspace && workspace._id);
+  const search = parseLinkSearch(req.query);
+  const page = await paginate(ShortUrl, { ...scope, ...search.filter }, search.sort, {
+    after: req.query.after,
+    before: req.query.before,
+    limit: search.params.limit,
+  });
+  // Choices for the tag and folder filters
+  const [tags, folders] = await Promise.all([
+    ShortUrl.distinct("tags", scope),
+    ShortUrl.distinct("folder", scope),
+  ]);
+  const apiTokens = await ApiToken.find({ userId: req.session.userId }).sort({
+    createdAt: -1,
+  });
+  // A newly generated token is shown once, then only its prefix is kept
+  const newApiToken = req.session.newApiToken;
+  delete req.session.newApiToken;
+  res.render("index", {
+    user,
+    shortUrls: page.items,
+    search: search.params,
+    sortLinks: sortLinks(search.params),
+    // Query strings for the pagination controls, or null on the first/last page
+    nextPage: page.nextCursor && searchQuery(search.params, { after: page.nextCursor }),
+    prevPage: page.prevCursor && searchQuery(search.params, { before: page.prevCursor }),
+    tags: tags.sort(),
+    folders: folders.filter(Boolean).sort(),
+    redirectTypes: REDIRECT_TYPES,
+    utmFields: UTM_FIELDS,
+    deviceTypes: DEVICE_TYPES,
+    workspace,
+    workspaces,
+    canEdit: hasRole(role, "editor"),
+    apiTokens,
+    newApiToken,
+  });
+}));
+
+// Generate a personal API token (Protected)
+app.post("/tokens", requireAuth, route(async (req, res) => {
+  const name = formText(req.body.name).trim();
+  if (!name || name.length > 64) {
+    req.session.error = "Token name is required (64 characters max).";
+    return res.redirect("/home");
+  }
+  const { token } = await ApiToken.generate(req.session.userId, name);
+  req.session.newApiToken = token;
+  res.redirect("/home");
+}));
+
+// Revoke a personal API token (Protected)
+app.post("/tokens/:id/revoke", requireAuth, route(async (req, res) => {
+  if (mongoose.isValidObjectId(req.params.id)) {
+    await ApiToken.deleteOne({ _id: req.params.id, userId: req.session.userId });
+  }
+  res.redirect("/home");
+}));
+
+// The dashboard's current workspace for adding links, or null for personal links.
+// Sets an error and returns false when the user is only a viewer there.
+async function workspaceForNewLinks(req) {
+  const current = await activeWorkspace(req);
+  if (!current) return null;
+  if (!hasRole(current.role, "editor")) {
+    req.session.error = "Viewers can't add links to this workspace.";
+    return false;
+  }
+  return current.workspace;
+}
+
 // URL Shortening (Protected)
-app.post("/shortUrls", requireAuth, async (req, res) => {
-  await ShortUrl.create({
-    full: req.body.fullUrl,
-    userId: req.session.userId,
+app.post("/shortUrls", requireAuth, requireVerified, route(async (req, res) => {
+  const workspace = await workspaceForNewLinks(req);
+  if (workspace === false) return res.redirect("/home");
+  const result = await createLink(req.session.userId, {
+    ...req.body,
+    utm: utmFromFields(req.body),
+    queryPassthrough: req.body.queryPassthrough === "on",
+    forceNew: req.body.forceNew === "on",
+    workspaceId: workspace && workspace._id,
+  });
+  if (result.error) req.session.error = result.error;
+  if (result.existing) {
+    const owner = workspace ? "This workspace already has" : "You already have";
+    req.session.notice = `${owner} a short link for this URL: /short/${result.link.short}`;
+  }
+  res.redirect("/home");
+}));
+
+// Uploaded import files are kept in memory and capped at 1 MB
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024, files: 1 },
+}).single("file");
+
+// Bulk import from a CSV or JSON file (Protected)
+app.post(
+  "/links/import",
+  requireAuth,
+  requireVerified,
+  (req, res, next) => {
+    importUpload(req, res, (err) => {
+      if (err) {
+        req.session.error =
+          err.code === "LIMIT_FILE_SIZE"
+            ? "Import files must be 1 MB or smaller."
+            : "The file could not be uploaded.";
+        return res.redirect("/home");
+      }
+      next();
+    });
+  },
+  // Multipart bodies skip the global CSRF check, so check once the form is parsed
+  verifyCsrf,
+  route(async (req, res) => {
+    const workspace = await workspaceForNewLinks(req);
+    if (workspace === false) return res.redirect("/home");
+    const parsed = parseImportFile(req.file);
+    if (parsed.error) {
+      req.session.error = parsed.error;
+      return res.redirect("/home");
+    }
+    const results = await importRows(
+      req.session.userId,
+      parsed.rows,
+      workspace && workspace._id
+    );
+    res.render("import-results", { results });
+  })
+);
+
+// Export the links shown on /home as CSV or JSON (Protected)
+app.get("/links/export", requireAuth, route(async (req, res) => {
+  const format = req.query.format === "json" ? "json" : "csv";
+  const current = await activeWorkspace(req);
+  const body = await exportLinks(
+    req.session.userId,
+    format,
+    appBaseUrl(req),
+    current && current.workspace._id
+  );
+  res.attachment(`links.${format}`);
+  res.type(format);
+  res.send(body);
+}));
+
+// Loads the link named in the URL for a user with at least `neededRole` for it
+// (see utils/workspaces.js). A link the user can't see at all is reported as
+// missing so its existence isn't leaked.
+function loadLink(neededRole) {
+  return route(async (req, res, next) => {
+    const shortUrl = await ShortUrl.findOne({ short: req.params.short });
+    const role = shortUrl && (await linkRole(shortUrl, req.session.userId));
+    if (!role) return res.status(404).render("404");
+    if (!hasRole(role, neededRole)) {
+      req.session.error = "You don't have permission to change this link.";
+      return res.redirect("/home");
+    }
+    req.shortUrl = shortUrl;
+    next();
+  });
+}
+
+// Change a link's destination and/or rename its slug (Protected)
+app.post("/links/:short/edit", requireAuth, loadLink("editor"), route(async (req, res) => {
+  const result = await updateLink(req.shortUrl, {
+    fullUrl: req.body.fullUrl,
+    short: req.body.short,
+    title: req.body.title || "",
+    tags: req.body.tags || "",
+    folder: req.body.folder || "",
+    redirectType: req.body.redirectType,
+  });
+  if (result.error) req.session.error = result.error;
+  res.redirect("/home");
+}));
+
+// Delete a link and its click history (Protected)
+app.post("/links/:short/delete", requireAuth, loadLink("editor"), route(async (req, res) => {
+  await deleteLink(req.shortUrl);
+  res.redirect("/home");
+}));
+
+// Update a link's expiry settings (Protected)
+app.post("/links/:short/expiry", requireAuth, loadLink("editor"), route(async (req, res) => {
+  const result = await updateLink(req.shortUrl, {
+    expiresAt: req.body.expiresAt || "",
+    maxClicks: req.body.maxClicks || "",
+    timezoneOffset: req.body.timezoneOffset,
+  });
+  if (result.error) req.session.error = result.error;
+  res.redirect("/home");
+}));
+
+// Update a link's UTM settings and query passthrough (Protected)
+app.post("/links/:short/query", requireAuth, loadLink("editor"), route(async (req, res) => {
+  const result = await updateLink(req.shortUrl, {
+    utm: utmFromFields(req.body),
+    queryPassthrough: req.body.queryPassthrough === "on",
+    queryMerge: req.body.queryMerge || "",
+  });
+  if (result.error) req.session.error = result.error;
+  res.redirect("/home");
+}));
+
+// Replace a link's device and geo targeting rules (Protected)
+app.post("/links/:short/targeting", requireAuth, loadLink("editor"), route(async (req, res) => {
+  const result = await updateLink(req.shortUrl, {
+    targetRules: targetRulesFromFields(req.body),
+  });
+  if (result.error) req.session.error = result.error;
+  res.redirect("/home");
+}));
+
+// Per-link analytics (Protected)
+app.get("/links/:short/stats", requireAuth, loadLink("viewer"), route(async (req, res) => {
+  const shortUrl = req.shortUrl;
+  const stats = await Click.linkStats(shortUrl._id, req.query.bucket);
+  res.render("stats", { shortUrl, stats });
+}));
+
+// Workspace Routes
+// Loads the workspace named in the URL for a member with at least `neededRole`.
+// Non-members get a 404 so the workspace's existence isn't leaked.
+function loadWorkspace(neededRole) {
+  return route(async (req, res, next) => {
+    const workspace =
+      mongoose.isValidObjectId(req.params.id) && (await Workspace.findById(req.params.id));
+    const role = workspace && workspace.roleOf(req.session.userId);
+    if (!role) return res.status(404).render("404");
+    if (!hasRole(role, neededRole)) {
+      req.session.error = "Only workspace owners can do that.";
+      return res.redirect(`/workspaces/${workspace._id}`);
+    }
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  });
+}
+
+// Checks that a workspace will still have an owner after `member` changes role or leaves
+function keepsAnOwner(workspace, member) {
+  if (member.role === "owner" && workspace.ownerCount() === 1) {
+    return "A workspace needs at least one owner. Make someone else an owner first.";
+  }
+  return null;
+}
+
+// The user's workspaces and open invitations (Protected)
+app.get("/workspaces", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  const email = user.email.toLowerCase();
+  const workspaces = await Workspace.forUser(user._id);
+  const invited = await Workspace.find({ "invites.email": email }, "name invites");
+  const invitations = invited.map((workspace) => ({
+    workspace,
+    role: workspace.invites.find((invite) => invite.email === email).role,
+  }));
+  res.render("workspaces", { user, workspaces, invitations });
+}));
+
+// Create a workspace owned by the current user (Protected)
+app.post("/workspaces", requireAuth, route(async (req, res) => {
+  const name = formText(req.body.name).trim();
+  if (!name || name.length > 64) {
+    req.session.error = "Workspace name is required (64 characters max).";
+    return res.redirect("/workspaces");
+  }
+  const workspace = await Workspace.create({
+    name,
+    members: [{ userId: req.session.userId, role: "owner" }],
   });
+  req.session.workspaceId = String(workspace._id);
+  req.session.notice = `Created the workspace "${name}". Invite your team below.`;
+  res.redirect(`/workspaces/${workspace._id}`);
+}));
+
+// Switch /home between personal links (empty workspaceId) and a workspace's links (Protected)
+app.post("/workspaces/switch", requireAuth, route(async (req, res) => {
+  const workspaceId = formText(req.body.workspaceId);
+  if (!workspaceId) {
+    delete req.session.workspaceId;
+  } else if (
+    mongoose.isValidObjectId(workspaceId) &&
+    (await Workspace.exists({ _id: workspaceId, "members.userId": req.session.userId }))
+  ) {
+    req.session.workspaceId = workspaceId;
+  }
   res.redirect("/home");
+}));
+
+// Members and invitations of one workspace (Protected)
+app.get("/workspaces/:id", requireAuth, loadWorkspace("viewer"), route(async (req, res) => {
+  const workspace = await req.workspace.populate("members.userId", "firstName lastName email");
+  res.render("workspace", {
+    workspace,
+    role: req.workspaceRole,
+    roles: Workspace.ROLES,
+    userId: req.session.userId,
+  });
+}));
+
+app.post("/workspaces/:id/rename", requireAuth, loadWorkspace("owner"), route(async (req, res) => {
+  const name = formText(req.body.name).trim();
+  if (!name || name.length > 64) {
+    req.session.error = "Workspace name is required (64 characters max).";
+  } else {
+    req.workspace.name = name;
+    await req.workspace.save();
+    req.session.notice = "The workspace has been renamed.";
+  }
+  res.redirect(`/workspaces/${req.workspace._id}`);
+}));
+
+// Invite someone by email; they accept from /workspaces once logged in with that address
+// Invitations sent, counted per inviting user across all their workspaces
+const inviteLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  prefix: "workspace-invite:",
 });
 
+app.post("/workspaces/:id/invites", requireAuth, loadWorkspace("owner"), route(async (req, res) => {
+  const workspace = req.workspace;
+  const back = `/workspaces/${workspace._id}`;
+  const email = formText(req.body.email).trim().toLowerCase();
+  const role = formText(req.body.role);
+  if (!emailRegex.test(email)) {
+    req.session.error = "Invalid email format.";
+    return res.redirect(back);
+  }
+  if (!Workspace.ROLES.includes(role)) {
+    req.session.error = "Choose a role for the invitation.";
+    return res.redirect(back);
+  }
+  const invitee = await User.findOne({ email }).collation({ locale: "en", strength: 2 });
+  if (invitee && workspace.roleOf(invitee._id)) {
+    req.session.error = `${email} is already a member of this workspace.`;
+    return res.redirect(back);
+  }
+  if (!(await inviteLimiter.attempt(String(req.session.userId)))) {
+    req.session.error = "Too many invitations sent. Please try again later.";
+    return res.redirect(back);
+  }
+  // Inviting the same address again replaces the earlier invitation
+  workspace.invites = workspace.invites.filter((invite) => invite.email !== email);
+  workspace.invites.push({ email, role, invitedBy: req.session.userId });
+  await workspace.save();
+  // Invitations are accepted from /workspaces, so they work without the email too
+  const acceptLater = `Ask ${email} to log in and accept it under Workspaces.`;
+  if (!canSendEmail()) {
+    req.session.notice = `Invitation created. ${acceptLater}`;
+    return res.redirect(back);
+  }
+  const inviter = await User.findById(req.session.userId);
+  const sent = await deliverMail({
+    to: email,
+    subject: `You've been invited to the "${workspace.name}" workspace`,
+    text:
+      `Hi,\n\n` +
+      `${inviter.firstName} ${inviter.lastName} invited you to join the "${workspace.name}" ` +
+      `workspace on URL Shortener as ${role === "viewer" ? "a viewer" : `an ${role}`}.\n\n` +
+      `Log in (or sign up with this email address) and accept the invitation at:\n\n` +
+      `${emailBaseUrl()}/workspaces`,
+  });
+  if (!sent) {
+    req.session.error = `${EMAIL_UNAVAILABLE} The invitation was created: ${acceptLater}`;
+    return res.redirect(back);
+  }
+  req.session.notice = `Invitation sent to ${email}.`;
+  res.redirect(back);
+}));
+
+app.post(
+  "/workspaces/:id/invites/revoke",
+  requireAuth,
+  loadWorkspace("owner"),
+  route(async (req, res) => {
+    const email = formText(req.body.email).trim().toLowerCase();
+    await Workspace.updateOne({ _id: req.workspace._id }, { $pull: { invites: { email } } });
+    res.redirect(`/workspaces/${req.workspace._id}`);
+  })
+);
+
+// Accept an invitation sent to the user's email address (Protected)
+app.post("/workspaces/:id/accept", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  // Only the owner of a confirmed address may use an invitation sent to it
+  if (!user.emailVerified) {
+    req.session.error = "Please confirm your email address before joining a workspace.";
+    return res.redirect("/workspaces");
+  }
+  const email = user.email.toLowerCase();
+  const workspace =
+    mongoose.isValidObjectId(req.params.id) &&
+    (await Workspace.findOne({ _id: req.params.id, "invites.email": email }));
+  const invite = workspace && workspace.invites.find((i) => i.email === email);
+  if (!invite) {
+    req.session.error = "This invitation is no longer valid.";
+    return res.redirect("/workspaces");
+  }
+  // Joins only while the invitation is still open, and never twice
+  await Workspace.updateOne(
+    { _id: workspace._id, "invites.email": email, "members.userId": { $ne: user._id } },
+    {
+      $pull: { invites: { email } },
+      $push: { members: { userId: user._id, role: invite.role } },
+    }
+  );
+  await Workspace.updateOne({ _id: workspace._id }, { $pull: { invites: { email } } });
+  req.session.workspaceId = String(workspace._id);
+  req.session.notice = `You've joined the "${workspace.name}" workspace.`;
+  res.redirect("/home");
+}));
+
+app.post("/workspaces/:id/decline", requireAuth, route(async (req, res) => {
+  const user = await User.findById(req.session.userId);
+  if (mongoose.isValidObjectId(req.params.id)) {
+    await Workspace.updateOne(
+      { _id: req.params.id },
+      { $pull: { invites: { email: user.email.toLowerCase() } } }
+    );
+  }
+  res.redirect("/workspaces");
+}));
+
+// Change a member's role (Protected, owners only)
+app.post(
+  "/workspaces/:id/members/:userId/role",
+  requireAuth,
+  loadWorkspace("owner"),
+  route(async (req, res) => {
+    const workspace = req.workspace;
+    const back = `/workspaces/${workspace._id}`;
+    const member =
+      mongoose.isValidObjectId(req.params.userId) &&
+      workspace.members.find((m) => m.userId.equals(req.params.userId));
+    if (!member) return res.status(404).render("404");
+    const role = formText(req.body.role);
+    if (!Workspace.ROLES.includes(role)) {
+      req.session.error = "Unknown role.";
+      return res.redirect(back);
+    }
+    const ownerError = role !== "owner" && keepsAnOwner(workspace, member);
+    if (ownerError) {
+      req.session.error = ownerError;
+      return res.redirect(back);
+    }
+    member.role = role;
+    await workspace.save();
+    res.redirect(back);
+  })
+);
+
+// Remove a member; any member may remove themselves to leave (Protected)
+app.post(
+  "/workspaces/:id/members/:userId/remove",
+  requireAuth,
+  loadWorkspace("viewer"),
+  route(async (req, res) => {
+    const workspace = req.workspace;
+    const back = `/workspaces/${workspace._id}`;
+    const member =
+      mongoose.isValidObjectId(req.params.userId) &&
+      workspace.members.find((m) => m.userId.equals(req.params.userId));
+    if (!member) return res.status(404).render("404");
+    const leaving = member.userId.equals(req.session.userId);
+    if (!leaving && req.workspaceRole !== "owner") {
+      req.session.error = "Only workspace owners can do that.";
+      return res.redirect(back);
+    }
+    const ownerError = keepsAnOwner(workspace, member);
+    if (ownerError) {
+      req.session.error = ownerError;
+      return res.redirect(back);
+    }
+    await Workspace.updateOne(
+      { _id: workspace._id },
+      { $pull: { members: { userId: member.userId } } }
+    );
+    if (leaving) {
+      req.session.notice = `You've left the "${workspace.name}" workspace.`;
+      return res.redirect("/workspaces");
+    }
+    res.redirect(back);
+  })
+);
+
+// Delete a workspace with all of its links (Protected, owners only)
+app.post("/workspaces/:id/delete", requireAuth, loadWorkspace("owner"), route(async (req, res) => {
+  const workspace = req.workspace;
+  const links = await ShortUrl.find({ workspaceId: workspace._id }, "_id");
+  await Click.deleteMany({ shortUrlId: { $in: links.map((link) => link._id) } });
+  await ShortUrl.deleteMany({ workspaceId: workspace._id });
+  await workspace.deleteOne();
+  req.session.notice = `Deleted the "${workspace.name}" workspace and its links.`;
+  res.redirect("/workspaces");
+}));
+
+// Counts a click on a short link and sends the visitor to its destination
+async function followLink(req, res, shortUrl) {
+  // Links saved before destinations were validated may hold unsafe schemes
+  const destination = targetDestination(shortUrl, req);
+  if (!isRedirectable(destination)) return res.status(404).render("404");
+  // The counter stays on the link for fast display on /home. Counting and the
+  // click limit check are one atomic update, so concurrent visits can't
+  // lose counts or get past the limit.
+  const counted = await ShortUrl.updateOne(
+    {
+      _id: shortUrl._id,
+      $or: [{ maxClicks: null }, { $expr: { $lt: ["$clicks", "$maxClicks"] } }],
+    },
+    { $inc: { clicks: 1 } }
+  );
+  if (counted.modifiedCount === 0) return res.status(410).render("expired");
+  // Recording the click event must never hold up or break the redirect
+  Click.create({ shortUrlId: shortUrl._id, ...describeClick(req) }).catch(
+    (err) => console.error("Click tracking error:", err)
+  );
+  const { status, cacheControl } = redirectResponse(shortUrl, req.method);
+  res.set("Cache-Control", cacheControl);
+  res.redirect(status, buildDestination(shortUrl, req.originalUrl, destination));
+}
+
+// The request's query string including "?", or "". The unlock form posts it
+// back so query passthrough still works for password-protected links.
+function queryString(req) {
+  const start = req.originalUrl.indexOf("?");
+  return start === -1 ? "" : req.originalUrl.slice(start);
+}
+
 // Redirect Shortened URL with Custom Format
-app.get("/short/:shortUrl", async (req, res) => {
+app.get("/short/:shortUrl", route(async (req, res) => {
   const shortUrl = await ShortUrl.findOne({ short: req.params.shortUrl });
   if (!shortUrl) return res.status(404).render("404");
-  shortUrl.clicks++;
-  await shortUrl.save();
-  res.redirect(shortUrl.full);
+  if (shortUrl.isExpired()) return res.status(410).render("expired");
+  // Password-protected links go through the unlock page first
+  if (shortUrl.password) {
+    return res.render("unlock", { short: shortUrl.short, query: queryString(req), error: null });
+  }
+  await followLink(req, res, shortUrl);
+}));
+
+// Failed unlock attempts, counted per link and client IP
+const unlockLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  prefix: "unlock:",
 });
 
+// Unlock a password-protected link
+app.post("/short/:shortUrl/unlock", route(async (req, res) => {
+  const shortUrl = await ShortUrl.findOne({ short: req.params.shortUrl });
+  if (!shortUrl) return res.status(404).render("404");
+  if (shortUrl.isExpired()) return res.status(410).render("expired");
+  if (!shortUrl.password) return followLink(req, res, shortUrl);
+
+  const limiterKey = `${shortUrl.short}:${req.ip}`;
+  // Counted before the password is checked, so parallel guesses can't slip past the limit
+  if (!(await unlockLimiter.attempt(limiterKey))) {
+    const minutes = Math.ceil((await unlockLimiter.retryAfter(limiterKey)) / 60000);
+    return res.status(429).render("unlock", {
+      short: shortUrl.short,
+      query: queryString(req),
+      error: `Too many failed attempts. Try again in ${minutes} minute(s).`,
+    });
+  }
+  if (!(await bcrypt.compare(formText(req.body.password), shortUrl.password))) {
+    return res.status(401).render("unlock", {
+      short: shortUrl.short,
+      query: queryString(req),
+      error: "Incorrect password.",
+    });
+  }
+  await unlockLimiter.reset(limiterKey);
+  await followLink(req, res, shortUrl);
+}));
+
+// QR code for a short link (?format=png|svg&size=&margin=&ecl=&download=1)
+app.get("/short/:shortUrl/qr", route(async (req, res) => {
+  const shortUrl = await ShortUrl.findOne({ short: req.params.shortUrl });
+  if (!shortUrl) return res.status(404).render("404");
+  const options = parseQrOptions(req.query);
+  if (options.error) return res.status(400).type("text").send(options.error);
+
+  const target = `${appBaseUrl(req)}/short/${shortUrl.short}`;
+  const image = await renderQr(target, options);
+  if (req.query.download) {
+    res.attachment(`${shortUrl.short}-qr.${options.format}`);
+  }
+  res.type(options.format === "svg" ? "image/svg+xml" : "image/png");
+  res.set("Cache-Control", "public, max-age=86400");
+  res.send(image);
+}));
+
 // Catch-all 404 Route
 app.use((req, res) => {
   res.status(404).render("404");
 });
 
+// Errors passed on by route() (Express needs all four arguments to treat
+// this as an error handler)
+app.use((err, req, res, next) => {
+  console.error("Request error:", err);
+  if (res.headersSent) return next(err);
+  res.status(500).type("text").send("Something went wrong. Please try again.");
+});
+
 // Start Server
 const PORT = process.env.PORT || 8000;
 const server = app.listen(PORT, () => {
   console.log("Server running on port " + PORT);
 });
 
+// Periodically archive (or purge) expired links.
+// LINK_EXPIRY_MODE can be "archive" (default) or "purge".
+const SWEEP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const sweepTimer = setInterval(() => {
+  ShortUrl.sweepExpired(process.env.LINK_EXPIRY_MODE || "archive")
+    .then((count) => {
+      if (count) console.log(`Expired link sweep handled ${count} link(s)`);
+    })
+    .catch((err) => console.error("Expired link sweep error:", err));
+}, SWEEP_INTERVAL);
+sweepTimer.unref();
+
 // Handle server errors
 server.on("error", (err) => {
   if (err.code === "EADDRINUSE") {
@@ -0,0 +1,44 @@
+/**
+ * Helpers for custom short link aliases (vanity slugs).
+ * Aliases share the same namespace as generated short IDs,
+ * so they are checked here before they reach the database.
+ */
+
+const ALIAS_MIN_LENGTH = 3;
+const ALIAS_MAX_LENGTH = 32;
+
+// Letters, digits, hyphens and underscores only
+const aliasRegex = /^[A-Za-z0-9_-]+$/;
+
+// Words that clash with routes (or read like them) and can't be used as aliases
+const RESERVED_ALIASES = [
+  "api",
+  "home",
+  "images",
+  "landing",
+  "links",
+  "login",
+  "logout",
+  "short",
+  "shorturls",
+  "signup",
+];
+
+/**
+ * Checks a requested alias and returns an error message,
+ * or null when the alias can be used.
+ */
+function validateAlias(alias) {
+  if (alias.length < ALIAS_MIN_LENGTH || alias.length > ALIAS_MAX_LENGTH) {
+    return `Alias must be between ${ALIAS_MIN_LENGTH} and ${ALIAS_MAX_LENGTH} characters long.`;
+  }
+  if (!aliasRegex.test(alias)) {
+    return "Alias can only contain letters, numbers, hyphens and underscores.";
+  }
+  if (RESERVED_ALIASES.includes(alias.toLowerCase())) {
+    return `"${alias}" is reserved. Please choose another alias.`;
+  }
+  return null;
+}
+
+module.exports = { validateAlias, RESERVED_ALIASES };
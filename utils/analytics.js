@@ -0,0 +1,42 @@
+/**
+ * Helpers for recording click analytics.
+ * Turns an incoming request into the fields stored on a Click,
+ * without keeping the visitor's raw IP address.
+ */
+
+const crypto = require("crypto");
+const UAParser = require("ua-parser-js");
+
+const botRegex = /bot|crawler|spider|slurp|preview|facebookexternalhit/i;
+
+// Hashes an IP with a server-side secret so visitors can be counted, not identified
+function hashIp(ip) {
+  if (!ip) return null;
+  const secret = process.env.IP_HASH_SECRET || process.env.SESSION_SECRET || "";
+  return crypto.createHmac("sha256", secret).update(ip).digest("hex").slice(0, 32);
+}
+
+// Classifies the device: bot, mobile, tablet, ... or desktop when unknown
+function deviceClass(userAgent, device) {
+  if (botRegex.test(userAgent)) return "bot";
+  return device.type || "desktop";
+}
+
+/**
+ * Builds the analytics fields for a click from the request.
+ */
+function describeClick(req) {
+  const userAgent = req.get("User-Agent") || "";
+  const { browser, os, device } = new UAParser(userAgent).getResult();
+  return {
+    referrer: req.get("Referer") || null,
+    userAgent: userAgent.slice(0, 512) || null,
+    browser: browser.name || null,
+    os: os.name || null,
+    device: deviceClass(userAgent, device),
+    // Behind a proxy this is only the visitor's IP with TRUST_PROXY set (see server.js)
+    ipHash: hashIp(req.ip),
+  };
+}
+
+module.exports = { describeClick, deviceClass, hashIp };
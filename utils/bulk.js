@@ -0,0 +1,145 @@
+/**
+ * Bulk import and export of short links.
+ * Imports accept a CSV file (with a header row) or a JSON array; every row
+ * is validated on its own, so one bad row doesn't fail the whole batch.
+ */
+
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify/sync");
+const ShortUrl = require("../models/shorten");
+const { createLink } = require("./links");
+const { linkScope } = require("./workspaces");
+const { utmFromFields, UTM_FIELDS } = require("./destination");
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet spellings of a true checkbox value
+const TRUE_VALUES = ["true", "1", "yes"];
+
+/**
+ * Reads the uploaded file into plain row objects.
+ * Returns { error } or { rows }.
+ */
+function parseImportFile(file) {
+  if (!file) return { error: "Please choose a CSV or JSON file to import." };
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const isJson = /\.json$/i.test(file.originalname) || file.mimetype === "application/json";
+
+  let rows;
+  try {
+    rows = isJson
+      ? JSON.parse(text)
+      : parse(text, {
+          columns: (header) => header.map((name) => name.trim()),
+          skip_empty_lines: true,
+          trim: true,
+        });
+  } catch (err) {
+    return { error: `Could not read the file: ${err.message}` };
+  }
+  if (!Array.isArray(rows)) return { error: "A JSON import must be an array of links." };
+  if (!rows.length) return { error: "The file doesn't contain any links." };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `Imports are limited to ${MAX_IMPORT_ROWS} links per file.` };
+  }
+  return { rows };
+}
+
+// Reads a column by any of its accepted names
+const pick = (row, ...names) => names.map((name) => row[name]).find((v) => v !== undefined && v !== "");
+
+// Maps a CSV or JSON row's columns onto the link service's input
+function rowInput(row, workspaceId) {
+  return {
+    fullUrl: pick(row, "destination", "url", "fullUrl"),
+    alias: pick(row, "alias", "short"),
+    title: pick(row, "title"),
+    tags: pick(row, "tags"),
+    folder: pick(row, "folder"),
+    expiresAt: pick(row, "expiresAt", "expiry"),
+    maxClicks: pick(row, "maxClicks"),
+    redirectType: pick(row, "redirectType"),
+    // A JSON row may hold a utm object; CSV rows have utm_source, ... columns
+    utm: pick(row, "utm") || utmFromFields(row),
+    queryPassthrough: TRUE_VALUES.includes(String(pick(row, "queryPassthrough")).toLowerCase()),
+    queryMerge: pick(row, "queryMerge"),
+    // Only JSON rows can hold targeting rules
+    targetRules: pick(row, "targetRules"),
+    workspaceId,
+  };
+}
+
+/**
+ * Creates a link for every row (in the workspace, if one is given) and
+ * reports the outcome of each:
+ * { row, status: "created" | "existing" | "error", short, error }.
+ */
+async function importRows(userId, rows, workspaceId = null) {
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    // Rows are numbered from 1; a CSV header row isn't counted
+    const rowNumber = index + 1;
+    if (!row || typeof row !== "object") {
+      results.push({ row: rowNumber, status: "error", error: "Row is not an object." });
+      continue;
+    }
+    let result;
+    // An unexpected failure on one row must not fail the rest of the import
+    try {
+      result = await createLink(userId, rowInput(row, workspaceId));
+    } catch (err) {
+      console.error(`Import row ${rowNumber} failed:`, err);
+      result = { error: "This row could not be imported." };
+    }
+    if (result.error) {
+      results.push({ row: rowNumber, status: "error", error: result.error });
+    } else {
+      results.push({
+        row: rowNumber,
+        status: result.existing ? "existing" : "created",
+        short: result.link.short,
+        destination: result.link.full,
+      });
+    }
+  }
+  return results;
+}
+
+// Stops spreadsheet apps from treating a cell as a formula
+function safeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Exports a user's personal links, or a workspace's links, with their
+ * click counts as "csv" or "json".
+ */
+async function exportLinks(userId, format, baseUrl, workspaceId = null) {
+  const links = await ShortUrl.find(linkScope(userId, workspaceId));
+  const rows = links.map((link) => ({
+    short: link.short,
+    shortUrl: `${baseUrl}/short/${link.short}`,
+    destination: link.full,
+    title: link.title,
+    tags: link.tags,
+    folder: link.folder,
+    clicks: link.clicks,
+    expiresAt: link.expiresAt ? link.expiresAt.toISOString() : null,
+    maxClicks: link.maxClicks,
+    redirectType: link.redirectType,
+    ...Object.fromEntries(UTM_FIELDS.map((field) => [`utm_${field}`, link.utm && link.utm[field]])),
+    queryPassthrough: link.queryPassthrough,
+    queryMerge: link.queryMerge,
+    targetRules: link.targetRules.toObject(),
+    createdAt: link._id.getTimestamp().toISOString(),
+  }));
+  if (format === "json") return JSON.stringify(rows, null, 2);
+  return stringify(
+    // Targeting rules don't fit in a CSV cell; only JSON exports include them
+    rows.map(({ targetRules, ...row }) => ({ ...row, tags: row.tags.join(";") })),
+    { header: true, cast: { string: safeCell, number: String, boolean: String } }
+  );
+}
+
+module.exports = { parseImportFile, importRows, exportLinks, MAX_IMPORT_ROWS };
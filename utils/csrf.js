@@ -0,0 +1,65 @@
+/**
+ * CSRF protection for session-authenticated forms.
+ * Each session gets one random token. Views render it into every
+ * form as a hidden "_csrf" field (JavaScript clients can send it in an
+ * X-CSRF-Token header instead), and state-changing requests without
+ * the matching token are rejected.
+ */
+
+const crypto = require("crypto");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Makes the token available to views as `csrfToken`. It is created the first
+// time a view uses it, so pages without forms don't start a session.
+function provideCsrfToken(req, res, next) {
+  Object.defineProperty(res.locals, "csrfToken", {
+    enumerable: true,
+    get() {
+      if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+      }
+      return req.session.csrfToken;
+    },
+  });
+  next();
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== "string" || typeof actual !== "string") return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Rejects the request with a friendly page, or JSON for JSON clients
+function rejectCsrf(req, res) {
+  const message = "Invalid or missing CSRF token. Please refresh the page and try again.";
+  if (req.xhr || req.is("application/json") || req.accepts(["html", "json"]) === "json") {
+    return res.status(403).json({ error: { status: 403, message } });
+  }
+  res.status(403).render("csrf");
+}
+
+// Checks the token on a single route; use after a body parser such as multer
+function verifyCsrf(req, res, next) {
+  const token = (req.body && req.body._csrf) || req.get("X-CSRF-Token");
+  if (!tokensMatch(req.session.csrfToken, token)) return rejectCsrf(req, res);
+  next();
+}
+
+/**
+ * Checks every state-changing request. Multipart bodies aren't parsed yet at
+ * this point, so the check is skipped for the listed multipart upload paths,
+ * which must call verifyCsrf after their upload handler. Any other multipart
+ * request has no readable token and is rejected.
+ */
+function csrfProtection({ multipartPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method)) return next();
+    if (req.is("multipart/form-data") && multipartPaths.includes(req.path)) return next();
+    verifyCsrf(req, res, next);
+  };
+}
+
+module.exports = { provideCsrfToken, csrfProtection, verifyCsrf };
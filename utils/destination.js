@@ -0,0 +1,80 @@
+/**
+ * Builds the URL a visitor is sent to at redirect time.
+ * Two optional per-link settings add query parameters to the stored
+ * destination, in this order:
+ *   1. UTM settings, added as utm_source, utm_medium, ... parameters
+ *   2. query passthrough: the query string the short link was opened with
+ * The link's merge rule decides what happens when a parameter is already
+ * on the URL at that point:
+ *   - "keep" (default): the value already there wins, so nothing set on
+ *     the destination (or by the UTM settings) is ever replaced
+ *   - "override": the value being added replaces it
+ */
+
+const { QUERY_MERGE_RULES } = require("../models/shorten");
+
+const UTM_FIELDS = ["source", "medium", "campaign", "term", "content"];
+const MAX_UTM_LENGTH = 200;
+
+/**
+ * Validates UTM settings given as { source, medium, campaign, term, content }.
+ * Returns { error } or { utm }, where utm is null when every value is blank.
+ */
+function parseUtm(input) {
+  if (input === undefined || input === null || input === "") return { utm: null };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "UTM settings must be an object." };
+  }
+  const utm = {};
+  for (const field of UTM_FIELDS) {
+    const value = typeof input[field] === "string" ? input[field].trim() : "";
+    if (value.length > MAX_UTM_LENGTH) {
+      return { error: `utm_${field} must be at most ${MAX_UTM_LENGTH} characters long.` };
+    }
+    if (value) utm[field] = value;
+  }
+  return { utm: Object.keys(utm).length ? utm : null };
+}
+
+// UTM settings from flat utm_source, utm_medium, ... fields (forms, CSV rows)
+const utmFromFields = (fields) =>
+  Object.fromEntries(UTM_FIELDS.map((field) => [field, fields[`utm_${field}`] || ""]));
+
+/**
+ * The destination for a visit. `requestUrl` is the URL the short link was
+ * opened with (e.g. req.originalUrl); its query string is only used when
+ * the link has query passthrough on. `destination` is the URL to add the
+ * parameters to, when a targeting rule picked one other than `full`.
+ */
+function buildDestination(shortUrl, requestUrl, destination = shortUrl.full) {
+  const utm = shortUrl.utm || {};
+  const incoming = new URL(requestUrl, "http://localhost").searchParams;
+  const hasUtm = UTM_FIELDS.some((field) => utm[field]);
+  const passthrough = shortUrl.queryPassthrough && [...incoming.keys()].length > 0;
+  // Leave the stored URL exactly as it is when there is nothing to add
+  if (!hasUtm && !passthrough) return destination;
+
+  const url = new URL(destination);
+  const override = shortUrl.queryMerge === "override";
+  const merge = (key, values) => {
+    if (url.searchParams.has(key) && !override) return;
+    url.searchParams.delete(key);
+    values.forEach((value) => url.searchParams.append(key, value));
+  };
+
+  for (const field of UTM_FIELDS) {
+    if (utm[field]) merge(`utm_${field}`, [utm[field]]);
+  }
+  if (passthrough) {
+    for (const key of new Set(incoming.keys())) merge(key, incoming.getAll(key));
+  }
+  return url.toString();
+}
+
+module.exports = {
+  parseUtm,
+  utmFromFields,
+  buildDestination,
+  UTM_FIELDS,
+  QUERY_MERGE_RULES,
+};
@@ -0,0 +1,53 @@
+/**
+ * Helpers for short link expiration.
+ * A link can expire at a given date, after a number of clicks, or both.
+ */
+
+// A date and time without a timezone, as sent by datetime-local inputs
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+const MAX_TIMEZONE_OFFSET = 14 * 60; // minutes
+
+/**
+ * Reads an expiry date. A time without a timezone is the user's wall-clock
+ * time: `timezoneOffset` is their browser's Date#getTimezoneOffset() (minutes
+ * behind UTC), which forms send along. Without it such a time is read as UTC,
+ * never in the server's own timezone.
+ */
+function parseExpiryDate(expiresAt, timezoneOffset) {
+  if (typeof expiresAt !== "string" || !LOCAL_DATE_TIME.test(expiresAt)) {
+    return new Date(expiresAt);
+  }
+  const offset = Number(timezoneOffset);
+  const minutes = Number.isInteger(offset) && Math.abs(offset) <= MAX_TIMEZONE_OFFSET ? offset : 0;
+  return new Date(Date.parse(`${expiresAt}Z`) + minutes * 60 * 1000);
+}
+
+/**
+ * Parses the expiry fields submitted with a link form.
+ * Empty fields mean "no limit". Returns { error } or { expiresAt, maxClicks }.
+ */
+function parseExpiry({ expiresAt, maxClicks, timezoneOffset }) {
+  let expiryDate = null;
+  let clickBudget = null;
+
+  if (expiresAt) {
+    expiryDate = parseExpiryDate(expiresAt, timezoneOffset);
+    if (isNaN(expiryDate.getTime())) {
+      return { error: "Invalid expiry date." };
+    }
+    if (expiryDate <= new Date()) {
+      return { error: "Expiry date must be in the future." };
+    }
+  }
+
+  if (maxClicks !== undefined && maxClicks !== null && maxClicks !== "") {
+    clickBudget = Number(maxClicks);
+    if (!Number.isInteger(clickBudget) || clickBudget < 1) {
+      return { error: "Click limit must be a whole number of at least 1." };
+    }
+  }
+
+  return { expiresAt: expiryDate, maxClicks: clickBudget };
+}
+
+module.exports = { parseExpiry };
@@ -0,0 +1,136 @@
+/**
+ * Search, filters and sorting for link lists.
+ * Turns query string parameters into a MongoDB filter and sort:
+ *   q                   text matched against destination, slug, title and tags
+ *   tag, folder         exact tag / folder
+ *   from, to            creation dates (YYYY-MM-DD, both inclusive)
+ *   clicksMin/clicksMax click count range
+ *   sort, dir           created | clicks | destination | slug, asc | desc
+ *   limit               page size (see utils/pagination.js)
+ * Invalid values are ignored rather than rejected, so a hand-edited URL
+ * still shows a list.
+ */
+
+const mongoose = require("mongoose");
+const { parsePageSize, DEFAULT_PAGE_SIZE } = require("./pagination");
+
+// Sortable columns and the fields they sort on. Creation time comes from
+// the ObjectId, which every link has, including ones saved long ago.
+const SORT_FIELDS = {
+  created: "_id",
+  clicks: "clicks",
+  destination: "full",
+  slug: "short",
+};
+
+const MAX_QUERY_LENGTH = 200;
+
+// Query string values can be arrays or objects; only plain strings count
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// A YYYY-MM-DD date as the start of that day (server time), or null
+function parseDay(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+const parseCount = (value) => (/^\d{1,9}$/.test(value) ? Number(value) : null);
+
+// ObjectIds created at or after the given time sort (and compare) from here on
+const objectIdAt = (date) => mongoose.Types.ObjectId.createFromTime(date.getTime() / 1000);
+
+/**
+ * Returns { params, filter, sort }: the cleaned-up parameters (to refill
+ * the search form and build links), and the filter and sort to query with.
+ */
+function parseLinkSearch(query = {}) {
+  const params = {
+    q: text(query.q).slice(0, MAX_QUERY_LENGTH),
+    tag: text(query.tag).toLowerCase(),
+    folder: text(query.folder),
+    from: parseDay(text(query.from)) ? text(query.from) : "",
+    to: parseDay(text(query.to)) ? text(query.to) : "",
+    clicksMin: parseCount(text(query.clicksMin)),
+    clicksMax: parseCount(text(query.clicksMax)),
+    sort: SORT_FIELDS[text(query.sort)] ? text(query.sort) : "created",
+    dir: text(query.dir) === "asc" ? "asc" : "desc",
+    limit: parsePageSize(text(query.limit)),
+  };
+
+  const filter = {};
+  if (params.q) {
+    const pattern = new RegExp(escapeRegex(params.q), "i");
+    filter.$or = [{ full: pattern }, { short: pattern }, { title: pattern }, { tags: pattern }];
+  }
+  if (params.tag) filter.tags = params.tag;
+  if (params.folder) filter.folder = params.folder;
+  if (params.from || params.to) {
+    filter._id = {};
+    if (params.from) filter._id.$gte = objectIdAt(parseDay(params.from));
+    if (params.to) {
+      const dayAfter = parseDay(params.to);
+      dayAfter.setDate(dayAfter.getDate() + 1);
+      filter._id.$lt = objectIdAt(dayAfter);
+    }
+  }
+  if (params.clicksMin !== null || params.clicksMax !== null) {
+    filter.clicks = {};
+    if (params.clicksMin !== null) filter.clicks.$gte = params.clicksMin;
+    if (params.clicksMax !== null) filter.clicks.$lte = params.clicksMax;
+  }
+
+  const direction = params.dir === "asc" ? 1 : -1;
+  const field = SORT_FIELDS[params.sort];
+  // Ties are broken by newest first so the order is stable
+  const sort = field === "_id" ? { _id: direction } : { [field]: direction, _id: -1 };
+
+  params.active = Boolean(
+    params.q ||
+      params.tag ||
+      params.folder ||
+      params.from ||
+      params.to ||
+      params.clicksMin !== null ||
+      params.clicksMax !== null
+  );
+  return { params, filter, sort };
+}
+
+const SEARCH_PARAMS = [
+  "q", "tag", "folder", "from", "to", "clicksMin", "clicksMax", "sort", "dir", "limit",
+];
+
+// Query string for the same search with some parameters changed or added (e.g. a cursor)
+function searchQuery(params, changes = {}) {
+  const values = Object.fromEntries(SEARCH_PARAMS.map((name) => [name, params[name]]));
+  Object.assign(values, changes);
+  // The default page size is left out to keep URLs short
+  if (values.limit === DEFAULT_PAGE_SIZE) delete values.limit;
+  const query = new URLSearchParams();
+  for (const [name, value] of Object.entries(values)) {
+    if (value !== "" && value !== null && value !== undefined) query.set(name, value);
+  }
+  return query.toString();
+}
+
+/**
+ * Links for sortable column headers: { [column]: { query, arrow } }.
+ * Clicking the current sort column flips its direction.
+ */
+function sortLinks(params) {
+  const links = {};
+  for (const column of Object.keys(SORT_FIELDS)) {
+    const current = params.sort === column;
+    const dir = current && params.dir === "desc" ? "asc" : "desc";
+    links[column] = {
+      query: searchQuery(params, { sort: column, dir }),
+      arrow: current ? (params.dir === "asc" ? " ▲" : " ▼") : "",
+    };
+  }
+  return links;
+}
+
+module.exports = { parseLinkSearch, searchQuery, sortLinks, SORT_FIELDS };
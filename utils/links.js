@@ -0,0 +1,289 @@
+/**
+ * Creating, updating and deleting short links.
+ * Shared by the dashboard forms and the JSON API so both
+ * apply the same validation. Each function returns
+ * { error, status } when the input is rejected.
+ */
+
+const bcrypt = require("bcryptjs");
+const ShortUrl = require("../models/shorten");
+const Click = require("../models/click");
+const { validateAlias } = require("./alias");
+const { parseExpiry } = require("./expiry");
+const { normalizeUrl } = require("./url");
+const { linkScope } = require("./workspaces");
+const { parseRedirectType, DEFAULT_REDIRECT_TYPE } = require("./redirect");
+const { parseUtm } = require("./destination");
+const { parseTargetRules } = require("./targeting");
+
+const aliasTaken = (alias) => ({
+  error: `The alias "${alias}" is already taken.`,
+  status: 409,
+});
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_TITLE_LENGTH = 200;
+const MAX_FOLDER_LENGTH = 64;
+
+/**
+ * Normalizes tags given as an array or a comma/semicolon separated string:
+ * trimmed, lower-cased and without duplicates. Returns { error } or { tags }.
+ */
+function parseTags(input) {
+  const raw = Array.isArray(input) ? input : String(input || "").split(/[,;]/);
+  const tags = [...new Set(raw.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return { error: `A link can have at most ${MAX_TAGS} tags.` };
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters long.` };
+  }
+  return { tags };
+}
+
+// Labels of the input fields that must be strings when given; JSON bodies
+// and imports can hold numbers, arrays or objects instead
+const TEXT_FIELDS = {
+  alias: "Alias",
+  short: "Alias",
+  title: "Title",
+  folder: "Folder name",
+  linkPassword: "Link password",
+};
+
+// An error result for the first text field given as something else, or null
+function textFieldError(input) {
+  for (const [field, label] of Object.entries(TEXT_FIELDS)) {
+    const value = input[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return { error: `${label} must be text.`, status: 422 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Trims an optional text field such as a title or folder name; blank
+ * becomes null. Returns { error } or { value }.
+ */
+function parseText(input, label, maxLength) {
+  const value = String(input || "").trim();
+  if (value.length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters long.` };
+  }
+  return { value: value || null };
+}
+
+// A query merge rule (see utils/destination.js); blank means "keep"
+function parseQueryMerge(input) {
+  const queryMerge = input || "keep";
+  if (!ShortUrl.QUERY_MERGE_RULES.includes(queryMerge)) {
+    const rules = ShortUrl.QUERY_MERGE_RULES.join(", ");
+    return { error: `Query merge rule must be one of ${rules}.` };
+  }
+  return { queryMerge };
+}
+
+// Checks that a slug is valid and free; returns an error result or null
+async function checkSlug(slug) {
+  const aliasError = validateAlias(slug);
+  if (aliasError) return { error: aliasError, status: 422 };
+  if (await ShortUrl.exists({ short: slug })) return aliasTaken(slug);
+  return null;
+}
+
+// Saves a link, turning a duplicate key on `short` into an "alias taken" error
+async function saveLink(shortUrl) {
+  try {
+    await shortUrl.save();
+  } catch (err) {
+    // Duplicate key: the alias was claimed between the check and the insert
+    if (err.code === 11000) return aliasTaken(shortUrl.short);
+    throw err;
+  }
+  return { link: shortUrl };
+}
+
+/**
+ * Creates a link for a user from
+ * { fullUrl, alias, title, tags, folder, expiresAt, maxClicks, redirectType,
+ *   utm, queryPassthrough, queryMerge, targetRules, linkPassword, forceNew,
+ *   workspaceId }.
+ * With a workspaceId the link belongs to that workspace, otherwise to the user.
+ * Returns { link } on success, plus existing: true when an identical
+ * link of the user's (or the workspace's) was returned instead.
+ */
+async function createLink(userId, input) {
+  const typeError = textFieldError(input);
+  if (typeError) return typeError;
+  const alias = (input.alias || "").trim();
+  const destination = normalizeUrl(input.fullUrl);
+  if (destination.error) return { error: destination.error, status: 422 };
+
+  const expiry = parseExpiry(input);
+  if (expiry.error) return { error: expiry.error, status: 422 };
+  const { tags, error: tagError } = parseTags(input.tags);
+  if (tagError) return { error: tagError, status: 422 };
+  const title = parseText(input.title, "Title", MAX_TITLE_LENGTH);
+  if (title.error) return { error: title.error, status: 422 };
+  const folder = parseText(input.folder, "Folder name", MAX_FOLDER_LENGTH);
+  if (folder.error) return { error: folder.error, status: 422 };
+  const { redirectType, error: redirectError } = parseRedirectType(input.redirectType);
+  if (redirectError) return { error: redirectError, status: 422 };
+  const { utm, error: utmError } = parseUtm(input.utm);
+  if (utmError) return { error: utmError, status: 422 };
+  const { queryMerge, error: mergeError } = parseQueryMerge(input.queryMerge);
+  if (mergeError) return { error: mergeError, status: 422 };
+  const queryPassthrough = Boolean(input.queryPassthrough);
+  const { targetRules, error: targetError } = parseTargetRules(input.targetRules);
+  if (targetError) return { error: targetError, status: 422 };
+
+  // Reuse an existing link for the same destination, unless a new one
+  // is forced or the request asks for anything a plain link doesn't have
+  const plainRequest =
+    !alias &&
+    !input.linkPassword &&
+    !expiry.expiresAt &&
+    !expiry.maxClicks &&
+    !tags.length &&
+    !title.value &&
+    !folder.value &&
+    redirectType === DEFAULT_REDIRECT_TYPE &&
+    !utm &&
+    !queryPassthrough &&
+    queryMerge === "keep" &&
+    !targetRules.length;
+  if (plainRequest && !input.forceNew) {
+    const existing = await ShortUrl.findOne({
+      ...linkScope(userId, input.workspaceId),
+      full: destination.url,
+      password: null,
+      expiresAt: null,
+      maxClicks: null,
+      archivedAt: null,
+      // Links saved before redirect types existed have none and use the default
+      redirectType: { $in: [null, DEFAULT_REDIRECT_TYPE] },
+      utm: null,
+      queryPassthrough: { $ne: true },
+      "targetRules.0": { $exists: false },
+    });
+    if (existing) return { link: existing, existing: true };
+  }
+
+  const shortUrl = new ShortUrl({
+    full: destination.url,
+    userId,
+    workspaceId: input.workspaceId || null,
+    title: title.value,
+    tags,
+    folder: folder.value,
+    expiresAt: expiry.expiresAt,
+    maxClicks: expiry.maxClicks,
+    redirectType,
+    utm,
+    queryPassthrough,
+    queryMerge,
+    targetRules,
+  });
+  // Optional link password, hashed the same way as account passwords
+  if (input.linkPassword) {
+    shortUrl.password = await bcrypt.hash(input.linkPassword, 10);
+  }
+  // An optional custom alias replaces the generated short ID
+  if (alias) {
+    const slugError = await checkSlug(alias);
+    if (slugError) return slugError;
+    shortUrl.short = alias;
+  }
+  return saveLink(shortUrl);
+}
+
+/**
+ * Updates the fields present in
+ * { fullUrl, short, title, tags, folder, expiresAt, maxClicks, redirectType,
+ *   utm, queryPassthrough, queryMerge, targetRules }.
+ * Fields that are left undefined keep their current value.
+ */
+async function updateLink(shortUrl, input) {
+  const typeError = textFieldError(input);
+  if (typeError) return typeError;
+
+  if (input.fullUrl !== undefined) {
+    const destination = normalizeUrl(input.fullUrl);
+    if (destination.error) return { error: destination.error, status: 422 };
+    shortUrl.full = destination.url;
+  }
+
+  if (input.short !== undefined) {
+    const newShort = (input.short || "").trim();
+    if (newShort && newShort !== shortUrl.short) {
+      const slugError = await checkSlug(newShort);
+      if (slugError) return slugError;
+      shortUrl.short = newShort;
+    }
+  }
+
+  if (input.tags !== undefined) {
+    const { tags, error } = parseTags(input.tags);
+    if (error) return { error, status: 422 };
+    shortUrl.tags = tags;
+  }
+
+  if (input.title !== undefined) {
+    const { value, error } = parseText(input.title, "Title", MAX_TITLE_LENGTH);
+    if (error) return { error, status: 422 };
+    shortUrl.title = value;
+  }
+
+  if (input.folder !== undefined) {
+    const { value, error } = parseText(input.folder, "Folder name", MAX_FOLDER_LENGTH);
+    if (error) return { error, status: 422 };
+    shortUrl.folder = value;
+  }
+
+  if (input.expiresAt !== undefined || input.maxClicks !== undefined) {
+    const expiry = parseExpiry(input);
+    if (expiry.error) return { error: expiry.error, status: 422 };
+    if (input.expiresAt !== undefined) shortUrl.expiresAt = expiry.expiresAt;
+    if (input.maxClicks !== undefined) shortUrl.maxClicks = expiry.maxClicks;
+    // New limits give an archived link a fresh start
+    shortUrl.archivedAt = null;
+  }
+
+  if (input.redirectType !== undefined) {
+    const { redirectType, error } = parseRedirectType(input.redirectType);
+    if (error) return { error, status: 422 };
+    shortUrl.redirectType = redirectType;
+  }
+
+  if (input.utm !== undefined) {
+    const { utm, error } = parseUtm(input.utm);
+    if (error) return { error, status: 422 };
+    shortUrl.utm = utm;
+  }
+
+  if (input.queryPassthrough !== undefined) {
+    shortUrl.queryPassthrough = Boolean(input.queryPassthrough);
+  }
+
+  if (input.queryMerge !== undefined) {
+    const { queryMerge, error } = parseQueryMerge(input.queryMerge);
+    if (error) return { error, status: 422 };
+    shortUrl.queryMerge = queryMerge;
+  }
+
+  if (input.targetRules !== undefined) {
+    const { targetRules, error } = parseTargetRules(input.targetRules);
+    if (error) return { error, status: 422 };
+    shortUrl.targetRules = targetRules;
+  }
+
+  return saveLink(shortUrl);
+}
+
+// Deletes a link together with its click history
+async function deleteLink(shortUrl) {
+  await Click.deleteMany({ shortUrlId: shortUrl._id });
+  await shortUrl.deleteOne();
+}
+
+module.exports = { createLink, updateLink, deleteLink };
@@ -0,0 +1,72 @@
+/**
+ * Brute-force protection for POST /login.
+ * Attempts are counted per client IP and per email address. Each attempt is
+ * counted before the password is checked, so parallel requests see each
+ * other instead of all passing the same check. After a few free attempts
+ * each further one doubles the wait before the next try, and too many for
+ * one email address lock that account out for the rest of the window.
+ * A successful login clears the account's count and takes its attempt back
+ * off the IP's.
+ */
+
+const { createRateLimiter } = require("./rateLimit");
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY = 60 * 1000; // 1 minute
+const ACCOUNT_LOCKOUT_THRESHOLD = 10;
+const IP_BLOCK_THRESHOLD = 50;
+
+const emailAttempts = createRateLimiter({
+  windowMs: 30 * 60 * 1000, // also the lockout length
+  max: ACCOUNT_LOCKOUT_THRESHOLD,
+  prefix: "login-email:",
+});
+const ipAttempts = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: IP_BLOCK_THRESHOLD,
+  prefix: "login-ip:",
+});
+
+const emailKey = (email) => String(email).trim().toLowerCase();
+
+// Milliseconds left of the wait earned by the attempts before this one
+function remainingDelay(entry) {
+  const earlier = entry.count - 1;
+  if (earlier < FREE_ATTEMPTS || !entry.previousAt) return 0;
+  const delay = Math.min(1000 * 2 ** (earlier - FREE_ATTEMPTS), MAX_DELAY);
+  return Math.max(entry.previousAt + delay - Date.now(), 0);
+}
+
+/**
+ * Counts a login attempt and checks whether it may go ahead; call it before
+ * checking the password. Returns { allowed: true } or
+ * { allowed: false, retryAfter } (ms).
+ */
+async function startLoginAttempt(ip, email) {
+  const key = emailKey(email);
+  const [byEmail, byIp] = await Promise.all([emailAttempts.hit(key), ipAttempts.hit(ip)]);
+  const now = Date.now();
+  let retryAfter;
+  if (byEmail.count > ACCOUNT_LOCKOUT_THRESHOLD) {
+    retryAfter = byEmail.resetAt - now;
+  } else if (byIp.count > IP_BLOCK_THRESHOLD) {
+    retryAfter = byIp.resetAt - now;
+  } else {
+    retryAfter = Math.max(remainingDelay(byEmail), remainingDelay(byIp));
+  }
+  if (retryAfter <= 0) return { allowed: true };
+  // A refused attempt never reached the password check, so it isn't counted;
+  // it does restart the wait
+  await Promise.all([emailAttempts.undo(key), ipAttempts.undo(ip)]);
+  return { allowed: false, retryAfter };
+}
+
+/**
+ * Clears the account's attempts after a successful login. With the IP of a
+ * password login, that attempt is also taken back off the IP's count.
+ */
+async function recordLoginSuccess(email, ip = null) {
+  await Promise.all([emailAttempts.reset(emailKey(email)), ip && ipAttempts.undo(ip)]);
+}
+
+module.exports = { startLoginAttempt, recordLoginSuccess };
@@ -0,0 +1,70 @@
+/**
+ * Outgoing email through a pluggable transport.
+ * MAIL_TRANSPORT picks the transport:
+ *   - "console": prints messages to the server log (local development only)
+ *   - "file": writes each message as JSON into MAIL_DIR (default ./mail-outbox)
+ *   - "smtp": sends through nodemailer using SMTP_URL
+ * There is no default: messages hold live links (password resets,
+ * confirmations), so they're only sent where a transport was chosen.
+ * Other transports can be added with registerTransport().
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const transports = {
+  console: () => async (message) => {
+    console.log(
+      `\n--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n---\n`
+    );
+  },
+
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, "..", "mail-outbox");
+    return async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+      await fs.promises.writeFile(
+        path.join(dir, name),
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+    };
+  },
+
+  smtp: () => {
+    if (!process.env.SMTP_URL) {
+      throw new Error("SMTP_URL must be set to use the smtp mail transport");
+    }
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+    return (message) => transporter.sendMail(message);
+  },
+};
+
+// The active transport's send function, created on first use
+let send = null;
+
+// Adds (or replaces) a transport; factory returns an async send(message) function
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  send = null;
+}
+
+// Whether MAIL_TRANSPORT names a transport to send with
+const isMailConfigured = () => Boolean(process.env.MAIL_TRANSPORT);
+
+/**
+ * Sends { to, subject, text, html } with the configured transport.
+ */
+async function sendMail(message) {
+  if (!send) {
+    const name = process.env.MAIL_TRANSPORT;
+    if (!name) throw new Error("MAIL_TRANSPORT is not set");
+    if (!transports[name]) throw new Error(`Unknown mail transport "${name}"`);
+    send = transports[name]();
+  }
+  const from = process.env.MAIL_FROM || "URL Shortener <no-reply@localhost>";
+  await send({ from, ...message });
+}
+
+module.exports = { sendMail, registerTransport, isMailConfigured };
@@ -0,0 +1,173 @@
+/**
+ * Sign-in through a generic OpenID Connect provider.
+ * Uses the authorization code flow with PKCE. The provider is found by
+ * discovery from OIDC_ISSUER, and the app is registered with it as
+ * OIDC_CLIENT_ID (plus OIDC_CLIENT_SECRET for confidential clients) with
+ * <APP_URL>/auth/oidc/callback as its redirect URI.
+ * Sign-in is only offered when OIDC_ISSUER and OIDC_CLIENT_ID are set.
+ */
+
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { Issuer, generators } = require("openid-client");
+const User = require("../models/user");
+const { appBaseUrl } = require("./url");
+
+const SIGN_IN_TTL = 10 * 60 * 1000; // 10 minutes to finish at the provider
+
+const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// Shown on the "Sign in with ..." button
+const oidcProviderName = () => process.env.OIDC_NAME || "SSO";
+
+// The discovered client, created on first use; a failed discovery is retried next time
+let clientPromise = null;
+
+function getClient() {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(process.env.OIDC_ISSUER)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: process.env.OIDC_CLIENT_ID,
+            client_secret: process.env.OIDC_CLIENT_SECRET,
+            response_types: ["code"],
+            token_endpoint_auth_method: process.env.OIDC_CLIENT_SECRET
+              ? "client_secret_basic"
+              : "none",
+          })
+      )
+      .catch((err) => {
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+}
+
+const redirectUri = (req) => `${appBaseUrl(req)}/auth/oidc/callback`;
+
+/**
+ * Starts a sign-in: remembers the state, nonce and PKCE verifier in the
+ * session and returns the provider URL to send the browser to.
+ * With `reauth`, a logged-in user confirms their identity for a sensitive
+ * settings change instead, and the provider is asked to sign them in again.
+ */
+async function startOidcSignIn(req, { reauth = false } = {}) {
+  const client = await getClient();
+  const codeVerifier = generators.codeVerifier();
+  const pending = {
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier,
+    startedAt: Date.now(),
+    reauth,
+  };
+  req.session.oidc = pending;
+  return client.authorizationUrl({
+    redirect_uri: redirectUri(req),
+    scope: process.env.OIDC_SCOPES || "openid email profile",
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: "S256",
+    ...(reauth ? { prompt: "login" } : {}),
+  });
+}
+
+/**
+ * Completes a sign-in on the callback request.
+ * Returns { issuer, claims } with the ID token and userinfo claims, or { error }.
+ */
+async function finishOidcSignIn(req) {
+  const pending = req.session.oidc;
+  delete req.session.oidc;
+  if (!pending || Date.now() - pending.startedAt > SIGN_IN_TTL) {
+    return { error: "Your sign-in session expired. Please try again." };
+  }
+  try {
+    const client = await getClient();
+    const params = client.callbackParams(req);
+    if (params.error) {
+      return { error: `Sign-in was cancelled or refused (${params.error}).` };
+    }
+    const tokenSet = await client.callback(redirectUri(req), params, {
+      state: pending.state,
+      nonce: pending.nonce,
+      code_verifier: pending.codeVerifier,
+    });
+    let claims = tokenSet.claims();
+    // Some providers only put the email and name in the userinfo response
+    if (!claims.email && client.issuer.userinfo_endpoint) {
+      claims = { ...(await client.userinfo(tokenSet)), ...claims };
+    }
+    return { issuer: client.issuer.issuer, claims };
+  } catch (err) {
+    console.error("OIDC sign-in failed:", err.message);
+    return { error: `Sign-in with ${oidcProviderName()} failed. Please try again.` };
+  }
+}
+
+/**
+ * Finds the User for a provider identity, in this order: the account already
+ * linked to it, the account with the same (provider-verified) email, which
+ * gets linked, or a new account. Returns { user } or { error }.
+ * Accounts whose email was never confirmed aren't linked: whoever signed up
+ * with the address first would keep a working password on the account.
+ */
+async function findOrCreateOidcUser(issuer, claims) {
+  const linked = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+  if (linked) return { user: linked };
+
+  if (!claims.email) {
+    return { error: `${oidcProviderName()} didn't share an email address for your account.` };
+  }
+  // An unverified email could belong to someone else, so it is never trusted
+  if (claims.email_verified !== true) {
+    return { error: `Please verify your email address with ${oidcProviderName()} first.` };
+  }
+
+  // Emails are matched case-insensitively; providers don't all keep the user's casing
+  const existing = await User.findOne({ email: claims.email }).collation({
+    locale: "en",
+    strength: 2,
+  });
+  if (existing) {
+    if (existing.oidcSubject) {
+      return { error: "This account is already linked to a different sign-in identity." };
+    }
+    if (!existing.emailVerified) {
+      return {
+        error:
+          "An account with this email exists but its address was never confirmed. " +
+          "Log in with its password and confirm the address first.",
+      };
+    }
+    existing.oidcIssuer = issuer;
+    existing.oidcSubject = claims.sub;
+    existing.emailVerified = true;
+    await existing.save();
+    return { user: existing };
+  }
+
+  const [firstFromName, ...restOfName] = String(claims.name || "").trim().split(/\s+/);
+  const user = await User.create({
+    firstName: claims.given_name || firstFromName || claims.email.split("@")[0],
+    lastName: claims.family_name || restOfName.join(" ") || "-",
+    email: claims.email,
+    // A random password nobody knows; "Forgot your password?" can set a real one
+    password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+    emailVerified: true,
+    oidcIssuer: issuer,
+    oidcSubject: claims.sub,
+  });
+  return { user };
+}
+
+module.exports = {
+  isOidcEnabled,
+  oidcProviderName,
+  startOidcSignIn,
+  finishOidcSignIn,
+  findOrCreateOidcUser,
+};
@@ -0,0 +1,101 @@
+/**
+ * Cursor-based pagination over a sorted query.
+ * A cursor names the item at the edge of a page by its sort value and _id,
+ * so the next query can seek straight to it through an index instead of
+ * skipping rows, and pages don't shift when links are added or removed.
+ * Cursors are opaque base64url strings; an invalid one reads as "no cursor".
+ *
+ * Sorts must be { _id: dir } or { <field>: dir, _id: dir } so that every
+ * item has a unique position.
+ */
+
+const mongoose = require("mongoose");
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = Math.min(Number(process.env.PAGE_SIZE) || 25, MAX_PAGE_SIZE);
+
+// A page size from the query string, within 1..MAX_PAGE_SIZE
+function parsePageSize(value) {
+  const size = /^\d{1,3}$/.test(String(value)) ? Number(value) : 0;
+  return size >= 1 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+}
+
+// [[field, dir], ...] with _id last
+const sortEntries = (sort) => Object.entries(sort);
+
+function encodeCursor(doc, sort) {
+  const values = sortEntries(sort).map(([field]) =>
+    field === "_id" ? String(doc._id) : doc.get(field)
+  );
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// The cursor's sort values, or null if it doesn't fit this sort
+function decodeCursor(cursor, sort) {
+  if (typeof cursor !== "string" || !cursor) return null;
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    return null;
+  }
+  const entries = sortEntries(sort);
+  if (!Array.isArray(values) || values.length !== entries.length) return null;
+  const id = values[values.length - 1];
+  if (!mongoose.isValidObjectId(id)) return null;
+  // Sort values are strings or numbers; anything else came from a tampered cursor
+  if (values.slice(0, -1).some((v) => typeof v !== "string" && typeof v !== "number")) {
+    return null;
+  }
+  return [...values.slice(0, -1), new mongoose.Types.ObjectId(id)];
+}
+
+// Filter for the items after the cursor in `sort` order
+function seekFilter(sort, values) {
+  const entries = sortEntries(sort);
+  const beyond = ([field, dir], value) => ({
+    [field]: dir === 1 ? { $gt: value } : { $lt: value },
+  });
+  if (entries.length === 1) return beyond(entries[0], values[0]);
+  const [[field], idEntry] = entries;
+  return {
+    $or: [beyond(entries[0], values[0]), { [field]: values[0], ...beyond(idEntry, values[1]) }],
+  };
+}
+
+const reverse = (sort) =>
+  Object.fromEntries(sortEntries(sort).map(([field, dir]) => [field, -dir]));
+
+/**
+ * Loads one page of `Model.find(filter).sort(sort)`.
+ * `after` continues past the end of a page and `before` goes back from its
+ * start; without either the first page is returned.
+ * Returns { items, nextCursor, prevCursor }, where a cursor is null when
+ * there is no page in that direction.
+ */
+async function paginate(Model, filter, sort, { after, before, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const afterValues = decodeCursor(after, sort);
+  const beforeValues = afterValues ? null : decodeCursor(before, sort);
+  const backwards = Boolean(beforeValues);
+  const querySort = backwards ? reverse(sort) : sort;
+  const cursorValues = afterValues || beforeValues;
+
+  const query = cursorValues
+    ? { $and: [filter, seekFilter(querySort, cursorValues)] }
+    : filter;
+  // One extra item tells whether there is another page
+  const found = await Model.find(query).sort(querySort).limit(limit + 1);
+  const more = found.length > limit;
+  const items = found.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const hasNext = backwards ? true : more;
+  const hasPrev = backwards ? more : Boolean(afterValues);
+  return {
+    items,
+    nextCursor: hasNext && items.length ? encodeCursor(items[items.length - 1], sort) : null,
+    prevCursor: hasPrev && items.length ? encodeCursor(items[0], sort) : null,
+  };
+}
+
+module.exports = { paginate, parsePageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
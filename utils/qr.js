@@ -0,0 +1,49 @@
+/**
+ * QR code rendering for short links, done locally with the
+ * qrcode package so no external service sees our links.
+ */
+
+const QRCode = require("qrcode");
+
+const FORMATS = ["png", "svg"];
+const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+
+// Repeated (?a=1&a=2) or nested (?a[b]=1) parameters arrive as arrays or
+// objects; only a plain string (or nothing) is a usable value
+const isText = (value) => value === undefined || typeof value === "string";
+
+// Reads a whole number from the query, falling back to a default
+function intParam(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Parses QR options from the query string:
+ * format (png|svg), size (64-2048 px), margin (0-16 modules)
+ * and ecl (L|M|Q|H). Returns { error } or the options.
+ */
+function parseQrOptions(query) {
+  if (!["format", "size", "margin", "ecl"].every((name) => isText(query[name]))) {
+    return { error: "format, size, margin and ecl may only be given once." };
+  }
+  const format = (query.format || "png").toLowerCase();
+  const size = intParam(query.size, 256);
+  const margin = intParam(query.margin, 4);
+  const ecl = (query.ecl || "M").toUpperCase();
+
+  if (!FORMATS.includes(format)) return { error: "format must be png or svg." };
+  if (!(size >= 64 && size <= 2048)) return { error: "size must be between 64 and 2048." };
+  if (!(margin >= 0 && margin <= 16)) return { error: "margin must be between 0 and 16." };
+  if (!ERROR_CORRECTION_LEVELS.includes(ecl)) return { error: "ecl must be L, M, Q or H." };
+  return { format, size, margin, ecl };
+}
+
+// Renders the QR code as a PNG buffer or an SVG string
+function renderQr(text, { format, size, margin, ecl }) {
+  const options = { width: size, margin, errorCorrectionLevel: ecl };
+  if (format === "svg") return QRCode.toString(text, { ...options, type: "svg" });
+  return QRCode.toBuffer(text, { ...options, type: "png" });
+}
+
+module.exports = { parseQrOptions, renderQr };
@@ -0,0 +1,178 @@
+/**
+ * A small rate limiter with pluggable storage.
+ * Counts hits per key inside a fixed time window and
+ * reports a key as blocked once it reaches the limit.
+ *
+ * A store keeps { count, resetAt, lastAt } entries (times in ms) and implements:
+ *   get(key)                  -> entry, or null when there is none or its window is over
+ *   increment(key, windowMs)  -> the updated entry, starting a new window if needed,
+ *                                plus previousAt: the lastAt before this hit (or null)
+ *   decrement(key)            takes one hit back off the current window
+ *   reset(key)
+ * RATE_LIMIT_STORE picks the default store: "memory" (default) or "mongo".
+ */
+
+// How often the memory store drops entries whose window is over
+const PRUNE_INTERVAL = 60 * 1000;
+
+// Keeps counters in this process; they are lost on restart
+function createMemoryStore() {
+  const entries = new Map();
+
+  // Keys that are never looked up again would otherwise stay forever
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, PRUNE_INTERVAL);
+  pruneTimer.unref();
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key) || { count: 0, resetAt: now + windowMs, lastAt: null };
+      const previousAt = entry.lastAt;
+      entry.count++;
+      entry.lastAt = now;
+      entries.set(key, entry);
+      return { ...entry, previousAt };
+    },
+    async decrement(key) {
+      const entry = live(key);
+      if (entry && entry.count > 0) entry.count--;
+    },
+    async reset(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// Keeps counters in MongoDB, shared by every instance of the app
+function createMongoStore() {
+  const RateLimit = require("../models/rateLimit");
+  const toEntry = (doc) =>
+    doc && {
+      count: doc.count,
+      resetAt: doc.resetAt.getTime(),
+      lastAt: doc.lastAt ? doc.lastAt.getTime() : null,
+    };
+
+  return {
+    async get(key) {
+      const doc = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return toEntry(doc);
+    },
+    async increment(key, windowMs) {
+      const now = new Date();
+      // Count the hit in the current window (the document from before it
+      // tells when the previous hit was)...
+      const before = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $gt: now } },
+        { $inc: { count: 1 }, $set: { lastAt: now } },
+        { new: false, lean: true }
+      );
+      if (before) {
+        const entry = toEntry(before);
+        return {
+          ...entry,
+          count: entry.count + 1,
+          lastAt: now.getTime(),
+          previousAt: entry.lastAt,
+        };
+      }
+      // ...or start a new one
+      try {
+        const fresh = await RateLimit.findOneAndUpdate(
+          { key },
+          { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs), lastAt: now } },
+          { new: true, upsert: true, lean: true }
+        );
+        return { ...toEntry(fresh), previousAt: null };
+      } catch (err) {
+        // Another request created the entry first; count against that one
+        if (err.code === 11000) return this.increment(key, windowMs);
+        throw err;
+      }
+    },
+    async decrement(key) {
+      await RateLimit.updateOne(
+        { key, resetAt: { $gt: new Date() }, count: { $gt: 0 } },
+        { $inc: { count: -1 } }
+      );
+    },
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+}
+
+let defaultStore = null;
+
+// The store shared by limiters that don't name one
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore =
+      process.env.RATE_LIMIT_STORE === "mongo" ? createMongoStore() : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Creates a limiter allowing `max` hits per key every `windowMs`.
+ * `prefix` keeps the keys of different limiters apart in a shared store.
+ */
+function createRateLimiter({ windowMs, max, prefix = "", store = getDefaultStore() }) {
+  const fullKey = (key) => `${prefix}${key}`;
+
+  return {
+    // Records a hit and returns the entry for the current window
+    hit(key) {
+      return store.increment(fullKey(key), windowMs);
+    },
+    /**
+     * Records an attempt and tells whether it is within the limit. Counting
+     * first means parallel attempts all see each other, which checking first
+     * and counting afterwards would miss. Returns true when it may go ahead.
+     */
+    async attempt(key) {
+      const entry = await store.increment(fullKey(key), windowMs);
+      return entry.count <= max;
+    },
+    // Takes back a hit that shouldn't count, e.g. a successful attempt
+    undo(key) {
+      return store.decrement(fullKey(key));
+    },
+    // The current entry without recording a hit, or null
+    peek(key) {
+      return store.get(fullKey(key));
+    },
+    async isBlocked(key) {
+      const entry = await store.get(fullKey(key));
+      return Boolean(entry && entry.count >= max);
+    },
+    // Milliseconds until a blocked key can try again
+    async retryAfter(key) {
+      const entry = await store.get(fullKey(key));
+      return entry ? Math.max(entry.resetAt - Date.now(), 0) : 0;
+    },
+    reset(key) {
+      return store.reset(fullKey(key));
+    },
+  };
+}
+
+module.exports = { createRateLimiter, createMemoryStore, createMongoStore };
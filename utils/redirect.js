@@ -0,0 +1,57 @@
+/**
+ * Status codes and caching for short link redirects.
+ * Each link stores its redirect type:
+ *   - 301 / 308: permanent; browsers and proxies may cache the redirect
+ *   - 302 / 307: temporary; never cached, so every visit is counted
+ * 307 and 308 tell clients to keep the request method and body.
+ * Links with targeting rules send visitors to different places, so their
+ * redirects are never cached either.
+ */
+
+const ShortUrl = require("../models/shorten");
+
+const { REDIRECT_TYPES, DEFAULT_REDIRECT_TYPE } = ShortUrl;
+const PERMANENT_TYPES = [301, 308];
+
+// How long permanent redirects may be cached, in seconds (default 1 day)
+const PERMANENT_MAX_AGE = Number(process.env.REDIRECT_CACHE_MAX_AGE) || 24 * 60 * 60;
+
+/**
+ * Reads a redirect type from a form or JSON value; blank means the default.
+ * Returns { error } or { redirectType }.
+ */
+function parseRedirectType(input) {
+  if (input === undefined || input === null || input === "") {
+    return { redirectType: DEFAULT_REDIRECT_TYPE };
+  }
+  const redirectType = Number(input);
+  if (!REDIRECT_TYPES.includes(redirectType)) {
+    return { error: `Redirect type must be one of ${REDIRECT_TYPES.join(", ")}.` };
+  }
+  return { redirectType };
+}
+
+/**
+ * The { status, cacheControl } to send a visitor on with.
+ * A cached redirect skips this server, so it would also skip click limits
+ * and expiry: links with a click limit are never cached, and an expiry
+ * date shortens the cache lifetime.
+ */
+function redirectResponse(shortUrl, method, now = new Date()) {
+  // After a form POST (the unlock page) the browser must switch to GET
+  // rather than send the link password on to the destination
+  if (method !== "GET" && method !== "HEAD") return { status: 303, cacheControl: "no-store" };
+
+  const status = shortUrl.redirectType || DEFAULT_REDIRECT_TYPE;
+  const targeted = Boolean(shortUrl.targetRules && shortUrl.targetRules.length);
+  if (!PERMANENT_TYPES.includes(status) || shortUrl.maxClicks != null || targeted) {
+    return { status, cacheControl: "no-store" };
+  }
+  let maxAge = PERMANENT_MAX_AGE;
+  if (shortUrl.expiresAt) {
+    maxAge = Math.min(maxAge, Math.floor((shortUrl.expiresAt - now) / 1000));
+  }
+  return { status, cacheControl: maxAge > 0 ? `public, max-age=${maxAge}` : "no-store" };
+}
+
+module.exports = { parseRedirectType, redirectResponse, REDIRECT_TYPES, DEFAULT_REDIRECT_TYPE };
@@ -0,0 +1,10 @@
+/**
+ * Express 4 doesn't catch rejected promises from async handlers: an error
+ * thrown in one would go unhandled and end the process. Wrapping a handler
+ * or middleware in route() passes it on to the error handler instead.
+ */
+
+const route = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = { route };
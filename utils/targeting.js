@@ -0,0 +1,160 @@
+/**
+ * Device and geo targeting: sending some visitors of a link to a
+ * different destination, e.g. iPhones to the App Store.
+ * A link holds an ordered list of rules, each with a destination and any of
+ *   os        operating system names as reported by ua-parser-js (iOS, Android, ...)
+ *   device    device types: desktop, mobile, tablet, ...
+ *   language  the visitor's preferred language; "pt" also matches "pt-BR"
+ *   country   ISO country codes, looked up from the visitor's IP address
+ * A rule matches when each condition it sets holds for one of its values.
+ * The first matching rule wins; visitors no rule matches go to `full`.
+ */
+
+const UAParser = require("ua-parser-js");
+// Country-only GeoIP data (about 20 MB in memory), loaded with the app
+// rather than on the first visit that needs it
+const geoip = require("geoip-country");
+const { normalizeUrl } = require("./url");
+const { deviceClass } = require("./analytics");
+
+const MAX_RULES = 20;
+const MAX_VALUES = 50;
+const CONDITIONS = ["os", "device", "language", "country"];
+const DEVICE_TYPES = [
+  "desktop", "mobile", "tablet", "smarttv", "wearable", "console", "embedded", "xr", "bot",
+];
+
+// Each condition's check, and how its values are stored
+const conditionRules = {
+  os: {
+    normalize: (value) => value,
+    valid: (value) => value.length <= 32,
+    error: "OS names must be at most 32 characters long.",
+  },
+  device: {
+    normalize: (value) => value.toLowerCase(),
+    valid: (value) => DEVICE_TYPES.includes(value),
+    error: `Device types must be one of ${DEVICE_TYPES.join(", ")}.`,
+  },
+  language: {
+    normalize: (value) => value.toLowerCase(),
+    valid: (value) => /^[a-z]{2,3}(-[a-z0-9]{1,8})*$/.test(value),
+    error: "Languages must be language tags such as en or pt-BR.",
+  },
+  country: {
+    normalize: (value) => value.toUpperCase(),
+    valid: (value) => /^[A-Z]{2}$/.test(value),
+    error: "Countries must be two-letter country codes such as US or DE.",
+  },
+};
+
+// Values from a list or a comma-separated string, without blanks
+function valueList(input) {
+  const values = Array.isArray(input) ? input : String(input || "").split(",");
+  return values
+    .filter((value) => typeof value === "string")
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates targeting rules given as
+ * [{ os, device, language, country, destination }, ...], where each
+ * condition is a list or a comma-separated string.
+ * Returns { error } or { targetRules }.
+ */
+function parseTargetRules(input) {
+  if (input === undefined || input === null || input === "") return { targetRules: [] };
+  if (!Array.isArray(input)) return { error: "Targeting rules must be a list." };
+  if (input.length > MAX_RULES) {
+    return { error: `A link can have at most ${MAX_RULES} targeting rules.` };
+  }
+
+  const targetRules = [];
+  for (const [index, rule] of input.entries()) {
+    const label = `Targeting rule ${index + 1}`;
+    if (!rule || typeof rule !== "object") return { error: `${label} is not an object.` };
+    const parsed = {};
+    for (const condition of CONDITIONS) {
+      const { normalize, valid, error } = conditionRules[condition];
+      const values = [...new Set(valueList(rule[condition]).map(normalize))];
+      if (values.length > MAX_VALUES) {
+        return { error: `${label}: at most ${MAX_VALUES} values per condition.` };
+      }
+      if (!values.every(valid)) return { error: `${label}: ${error}` };
+      parsed[condition] = values;
+    }
+    if (CONDITIONS.every((condition) => !parsed[condition].length)) {
+      return { error: `${label} needs at least one condition.` };
+    }
+    const { url, error } = normalizeUrl(rule.destination);
+    if (error) return { error: `${label}: ${error}` };
+    targetRules.push({ ...parsed, destination: url });
+  }
+  return { targetRules };
+}
+
+/**
+ * Targeting rules from a form with one row of rule_os, rule_device,
+ * rule_language, rule_country and rule_destination fields per rule.
+ * Repeated fields arrive as arrays; rows left entirely blank are dropped.
+ */
+function targetRulesFromFields(fields) {
+  const names = [...CONDITIONS, "destination"];
+  const columns = names.map((name) => [].concat(fields[`rule_${name}`] ?? []));
+  const rows = Math.max(...columns.map((column) => column.length));
+  return Array.from({ length: rows }, (_, index) =>
+    Object.fromEntries(names.map((name, i) => [name, columns[i][index]]))
+  ).filter((rule) => names.some((name) => valueList(rule[name]).length));
+}
+
+function countryOf(ip) {
+  if (!ip) return null;
+  const found = geoip.lookup(ip.replace(/^::ffff:/i, ""));
+  return found && found.country ? found.country : null;
+}
+
+/**
+ * What the rules can match on for the request's visitor:
+ * { os, device, language, country }, with null for anything unknown.
+ * The country is only looked up when `withCountry` is set.
+ */
+function describeVisitor(req, { withCountry = false } = {}) {
+  const userAgent = req.get("User-Agent") || "";
+  const { os, device } = new UAParser(userAgent).getResult();
+  // Without an Accept-Language header Express reports "*"
+  const [language] = req.acceptsLanguages().filter((tag) => tag !== "*");
+  return {
+    os: os.name ? os.name.toLowerCase() : null,
+    device: deviceClass(userAgent, device),
+    language: language ? language.toLowerCase() : null,
+    country: withCountry ? countryOf(req.ip) : null,
+  };
+}
+
+// "pt" matches "pt" and "pt-br"; "pt-br" only matches "pt-br"
+const languageMatches = (tag, language) =>
+  Boolean(language) && (language === tag || language.startsWith(`${tag}-`));
+
+function ruleMatches(rule, visitor) {
+  const { os, device, language, country } = rule;
+  if (os.length && !os.some((name) => name.toLowerCase() === visitor.os)) return false;
+  if (device.length && !device.includes(visitor.device)) return false;
+  if (language.length && !language.some((tag) => languageMatches(tag, visitor.language))) {
+    return false;
+  }
+  return !country.length || country.includes(visitor.country);
+}
+
+// The destination for this request before any query parameters are added
+function targetDestination(shortUrl, req) {
+  const rules = shortUrl.targetRules || [];
+  if (!rules.length) return shortUrl.full;
+  const visitor = describeVisitor(req, {
+    withCountry: rules.some((rule) => rule.country.length),
+  });
+  const match = rules.find((rule) => ruleMatches(rule, visitor));
+  return match ? match.destination : shortUrl.full;
+}
+
+module.exports = { parseTargetRules, targetRulesFromFields, targetDestination, DEVICE_TYPES };
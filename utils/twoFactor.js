@@ -0,0 +1,60 @@
+/**
+ * TOTP two-factor authentication helpers.
+ * Secrets follow RFC 6238 (30-second steps, 6 digits), so any
+ * authenticator app can be used. Recovery codes are single-use
+ * and only their SHA-256 hashes are stored on the User.
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { authenticator } = require("otplib");
+
+// Accept the previous and next code too, to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = process.env.TOTP_ISSUER || "Aetheris URL Shortener";
+const RECOVERY_CODE_COUNT = 10;
+
+const generateSecret = () => authenticator.generateSecret();
+
+// Data URL of a QR code that authenticator apps can scan
+function enrollmentQr(email, secret) {
+  return QRCode.toDataURL(authenticator.keyuri(email, ISSUER, secret), { width: 200, margin: 2 });
+}
+
+/**
+ * Returns the time step (30-second period since the epoch) the code belongs
+ * to, or null when it doesn't match. Callers reject steps at or before the
+ * last one accepted for the user (User.claimTotpStep) so a code works once.
+ */
+function verifyTotp(secret, code) {
+  const token = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(token)) return null;
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+  const { epoch, step } = authenticator.allOptions();
+  return Math.floor(epoch / 1000 / step) + delta;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code || "").replace(/[\s-]+/g, "").toLowerCase())
+    .digest("hex");
+
+// Returns { codes } to show the user once and { hashes } to store
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+  generateSecret,
+  enrollmentQr,
+  verifyTotp,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
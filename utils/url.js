@@ -0,0 +1,109 @@
+/**
+ * Validation and normalization of destination URLs.
+ * Only http and https are accepted, so schemes like
+ * javascript: and data: can never reach res.redirect.
+ */
+
+const net = require("net");
+
+const MAX_URL_LENGTH = 2048;
+const ALLOWED_PROTOCOLS = ["http:", "https:"];
+
+// Private, loopback and link-local ranges
+const privateRanges = new net.BlockList();
+privateRanges.addSubnet("0.0.0.0", 8, "ipv4");
+privateRanges.addSubnet("10.0.0.0", 8, "ipv4");
+privateRanges.addSubnet("100.64.0.0", 10, "ipv4");
+privateRanges.addSubnet("127.0.0.0", 8, "ipv4");
+privateRanges.addSubnet("169.254.0.0", 16, "ipv4");
+privateRanges.addSubnet("172.16.0.0", 12, "ipv4");
+privateRanges.addSubnet("192.168.0.0", 16, "ipv4");
+privateRanges.addAddress("::", "ipv6");
+privateRanges.addAddress("::1", "ipv6");
+privateRanges.addSubnet("fc00::", 7, "ipv6");
+privateRanges.addSubnet("fe80::", 10, "ipv6");
+
+const privateHostSuffixes = [".localhost", ".local", ".internal"];
+
+// True for loopback/private IP literals and local-only host names
+function isPrivateHost(hostname) {
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const mapped = host.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : host;
+  const family = net.isIP(ip);
+  if (family) return privateRanges.check(ip, family === 6 ? "ipv6" : "ipv4");
+  return host === "localhost" || privateHostSuffixes.some((s) => host.endsWith(s));
+}
+
+// Private addresses are blocked when BLOCK_PRIVATE_URLS=true
+const blockPrivateByDefault = () => process.env.BLOCK_PRIVATE_URLS === "true";
+
+/**
+ * Parses and normalizes a destination URL.
+ * The host is lower-cased and IDN hosts are converted to punycode.
+ * Returns { error } or { url }.
+ */
+function normalizeUrl(input, { blockPrivate = blockPrivateByDefault() } = {}) {
+  if (input !== undefined && input !== null && typeof input !== "string") {
+    return { error: "Destination URL must be text." };
+  }
+  const raw = (input || "").trim();
+  if (!raw) return { error: "Destination URL is required." };
+  if (raw.length > MAX_URL_LENGTH) {
+    return { error: `Destination URL must be at most ${MAX_URL_LENGTH} characters long.` };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(raw);
+  } catch (err) {
+    return { error: "Destination URL is not a valid URL." };
+  }
+  if (!ALLOWED_PROTOCOLS.includes(parsed.protocol)) {
+    return { error: "Only http:// and https:// URLs can be shortened." };
+  }
+  // URL already lower-cases the host and converts IDN hosts to punycode;
+  // trailing dots are dropped as well, before the host is checked, so
+  // "localhost." can't pass for a public name
+  const hostname = parsed.hostname.replace(/\.+$/, "");
+  if (!hostname) {
+    return { error: "Destination URL must include a host name." };
+  }
+  if (blockPrivate && isPrivateHost(hostname)) {
+    return { error: "Links to private or local addresses are not allowed." };
+  }
+  parsed.hostname = hostname;
+  return { url: parsed.href };
+}
+
+// Last line of defence for links stored before validation existed
+function isRedirectable(url) {
+  try {
+    return ALLOWED_PROTOCOLS.includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+}
+
+// APP_URL without a trailing slash, or null when it isn't set
+const configuredBaseUrl = () =>
+  process.env.APP_URL ? process.env.APP_URL.replace(/\/+$/, "") : null;
+
+/**
+ * Base URL of this app for links shown to the requester (QR codes, exports,
+ * API responses). APP_URL wins when set; otherwise the Host header is used.
+ */
+function appBaseUrl(req) {
+  return configuredBaseUrl() || `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * Base URL for links sent by email, or null when APP_URL isn't set.
+ * It never comes from the Host header: whoever sends the request controls
+ * that, so a password reset requested with "Host: evil.example" would mail
+ * the victim a link that hands their token to that host.
+ */
+const emailBaseUrl = configuredBaseUrl;
+
+module.exports = { normalizeUrl, isRedirectable, appBaseUrl, emailBaseUrl };
@@ -0,0 +1,48 @@
+/**
+ * Who may do what with a link.
+ * A link is either personal (it belongs to the user who created it) or
+ * belongs to a workspace, where the member's role decides:
+ *   - viewer: sees the links and their stats
+ *   - editor: also creates, edits and deletes links
+ *   - owner:  also manages the members and the workspace itself
+ * A user counts as the owner of their personal links.
+ */
+
+const Workspace = require("../models/workspace");
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Whether a role (possibly null) includes everything `needed` may do
+const hasRole = (role, needed) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[needed];
+
+// Query for the links in a workspace, or for the user's personal links
+const linkScope = (userId, workspaceId) =>
+  workspaceId ? { workspaceId } : { userId, workspaceId: null };
+
+// The user's role for a link, or null when the link isn't theirs to see
+async function linkRole(shortUrl, userId) {
+  if (!shortUrl.workspaceId) {
+    return shortUrl.userId && shortUrl.userId.equals(userId) ? "owner" : null;
+  }
+  const workspace = await Workspace.findById(shortUrl.workspaceId, "members");
+  return workspace ? workspace.roleOf(userId) : null;
+}
+
+/**
+ * The workspace the user has switched the dashboard to, as
+ * { workspace, role }, or null for their personal links. A workspace
+ * they are no longer a member of is forgotten.
+ */
+async function activeWorkspace(req) {
+  const workspaceId = req.session.workspaceId;
+  if (!workspaceId) return null;
+  const workspace = await Workspace.findById(workspaceId);
+  const role = workspace && workspace.roleOf(req.session.userId);
+  if (!role) {
+    delete req.session.workspaceId;
+    return null;
+  }
+  return { workspace, role };
+}
+
+module.exports = { hasRole, linkScope, linkRole, activeWorkspace };